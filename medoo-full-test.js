@@ -4,7 +4,7 @@
  * 连接真实数据库进行完整测试
  */
 
-const { Medoo, Raw } = require('./medoo');
+const { Medoo, Raw, Driver } = require('./medoo');
 
 class MedooFullTester {
     constructor() {
@@ -122,7 +122,8 @@ class MedooFullTester {
                 view_count: ['INT', 'DEFAULT 0'],
                 created_at: ['DATETIME', 'DEFAULT CURRENT_TIMESTAMP'],
                 'INDEX idx_user_id': ['(user_id)'],
-                'INDEX idx_status': ['(status)']
+                'INDEX idx_status': ['(status)'],
+                'FULLTEXT idx_fulltext': ['(title, content)']
             });
         });
 
@@ -261,6 +262,35 @@ class MedooFullTester {
             ]);
         });
 
+        // 分片批量插入
+        await this.test('分片批量插入', async () => {
+            const rows = [];
+            for (let i = 0; i < 1200; i++) {
+                rows.push({ user_id: 4, amount: 1.00, status: 'cancelled' });
+            }
+
+            const result = await this.db.insert('test_orders', rows, {
+                chunk: 500,
+                transaction: true
+            });
+
+            if (result.affectedRows !== 1200 || result.insertIds.length !== 3) {
+                throw new Error('分片插入结果不正确');
+            }
+
+            await this.db.delete('test_orders', { user_id: 4 });
+
+            // 配置文件中的 chunk 可能是字符串
+            const fromConfig = await this.db.insert('test_orders', rows.slice(0, 7), { chunk: '3' });
+
+            if (fromConfig.affectedRows !== 7 || fromConfig.insertIds.length !== 3) {
+                throw new Error(`字符串 chunk 分片不正确: ${fromConfig.insertIds.length} 个分片`);
+            }
+
+            await this.db.delete('test_orders', { user_id: 4 });
+            return { affectedRows: result.affectedRows, chunks: result.insertIds.length };
+        }, false);
+
         // 插入订单
         await this.test('插入订单数据', async () => {
             return await this.db.insert('test_orders', [
@@ -388,6 +418,60 @@ class MedooFullTester {
             });
         });
 
+        // 全文搜索测试
+        await this.test('MATCH 全文搜索测试', async () => {
+            return await this.db.select('test_posts', ['id', 'title'], {
+                MATCH: {
+                    columns: ['title', 'content'],
+                    keyword: 'Node.js',
+                    mode: 'boolean'
+                },
+                ORDER: { MATCH: 'DESC' }
+            });
+        });
+
+        // 子查询测试
+        await this.test('子查询条件测试', async () => {
+            const users = await this.db.select('test_users', ['id', 'username'], {
+                id: this.db.subquery('test_posts', 'user_id', {
+                    'status': 'published'
+                }),
+                EXISTS: this.db.subquery('test_posts', 'id', {
+                    'test_posts.user_id': Medoo.raw('<test_users.id>')
+                }),
+                'age[>=]': this.db.subquery('test_users', { youngest: Medoo.raw('MIN(<age>)') }, {})
+            });
+
+            if (!this.db.last().includes('IN (SELECT "user_id" FROM "test_posts"')) {
+                throw new Error(`子查询 SQL 不正确: ${this.db.last()}`);
+            }
+
+            return users;
+        });
+
+        // 窗口函数测试
+        await this.test('窗口函数测试', async () => {
+            const rows = await this.db.select('test_users', {
+                username: Medoo.raw('<username>'),
+                'age_rank [Int]': Medoo.window('RANK', {
+                    PARTITION: 'role',
+                    ORDER: { age: 'DESC' }
+                }),
+                'running_age [Number]': Medoo.window('SUM', 'age', {
+                    ORDER: { id: 'ASC' },
+                    FRAME: 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'
+                })
+            }, {
+                ORDER: { id: 'ASC' }
+            });
+
+            if (rows.length > 0 && typeof rows[0].age_rank !== 'number') {
+                throw new Error('窗口函数结果未转换为数字');
+            }
+
+            return rows;
+        });
+
         // GROUP BY & HAVING 测试
         await this.test('GROUP BY 测试', async () => {
             return await this.db.select('test_users', [
@@ -426,6 +510,170 @@ class MedooFullTester {
         });
     }
 
+    async testPaginateAPI() {
+        console.log('\n📄 测试分页 API');
+        console.log('================');
+
+        await this.test('页码分页测试', async () => {
+            const total = await this.db.count('test_users');
+            const result = await this.db.page('test_users', ['id', 'username'], {
+                ORDER: { id: 'ASC' }
+            }, { page: 2, perPage: 2 });
+
+            if (result.total !== total || result.lastPage !== Math.max(1, Math.ceil(total / 2))) {
+                throw new Error('分页统计不正确');
+            }
+
+            return { total: result.total, lastPage: result.lastPage, count: result.data.length };
+        });
+
+        await this.test('分组分页测试', async () => {
+            const roles = await this.db.select('test_users', { 0: 'role', users: Medoo.raw('COUNT(*)') }, {
+                GROUP: 'role'
+            });
+            const result = await this.db.page('test_users', { 0: 'role', users: Medoo.raw('COUNT(*)') }, {
+                GROUP: 'role',
+                ORDER: { role: 'ASC' }
+            }, { page: 1, perPage: 1 });
+
+            if (result.total !== roles.length || result.lastPage !== roles.length) {
+                throw new Error(`分组分页应统计分组数: ${result.total}`);
+            }
+
+            return { total: result.total, lastPage: result.lastPage };
+        });
+
+        await this.test('DISTINCT 分页测试', async () => {
+            const roles = await this.db.select('test_users', 'role', { DISTINCT: true });
+            const result = await this.db.page('test_users', ['role(r)'], {
+                DISTINCT: true,
+                ORDER: { role: 'ASC' }
+            }, { page: 1, perPage: 2 });
+
+            if (result.total !== roles.length) {
+                throw new Error(`DISTINCT 分页应统计不同的行数: ${result.total}`);
+            }
+
+            const first = await this.db.paginate('test_users', ['role'], {
+                DISTINCT: true,
+                ORDER: { role: 'ASC' }
+            }, { limit: roles.length });
+
+            if (first.data.length !== roles.length || first.next !== null) {
+                throw new Error(`游标分页没有去除重复的行: ${this.db.last()}`);
+            }
+
+            return { total: result.total, roles: first.data.map(row => row.role) };
+        });
+
+        await this.test('游标分页测试', async () => {
+            const where = { ORDER: { age: 'DESC', id: 'ASC' } };
+            const first = await this.db.paginate('test_users', ['id', 'username', 'age'], where, { limit: 2 });
+            const second = await this.db.paginate('test_users', ['id', 'username', 'age'], where, {
+                limit: 2,
+                cursor: first.next
+            });
+            const back = await this.db.paginate('test_users', ['id', 'username', 'age'], where, {
+                limit: 2,
+                cursor: second.prev
+            });
+
+            if (JSON.stringify(back.data) !== JSON.stringify(first.data)) {
+                throw new Error('向前翻页结果与第一页不一致');
+            }
+
+            // 查询字符串中的 limit 是字符串
+            const fromQuery = await this.db.paginate('test_users', ['id', 'username', 'age'], where, { limit: '2' });
+
+            if (fromQuery.data.length !== first.data.length || !this.db.last().endsWith('LIMIT 3')) {
+                throw new Error(`字符串 limit 未生效: ${this.db.last()}`);
+            }
+
+            return { first: first.data.length, second: second.data.length, hasNext: Boolean(second.next) };
+        });
+    }
+
+    async testUnionAPI() {
+        console.log('\n🔗 测试 UNION API');
+        console.log('==================');
+
+        await this.test('UNION 查询测试', async () => {
+            const rows = await this.db.union([
+                this.db.subquery('test_users', ['username(name)', 'age [Int]'], { 'age[<]': 30 }),
+                this.db.subquery('test_users', ['username', 'age'], { 'age[>=]': 30 })
+            ], {
+                ORDER: { age: 'ASC' },
+                LIMIT: 3
+            });
+
+            if (rows.length > 3 || (rows[0] && typeof rows[0].age !== 'number')) {
+                throw new Error('UNION 结果不正确');
+            }
+
+            return rows;
+        });
+
+        await this.test('UNION ALL 查询测试', async () => {
+            const total = await this.db.count('test_users');
+            const rows = await this.db.unionAll([
+                this.db.subquery('test_users', 'username', {}),
+                this.db.subquery('test_users', 'username', {})
+            ]);
+
+            if (rows.length !== total * 2) {
+                throw new Error('UNION ALL 应保留重复行');
+            }
+
+            return { count: rows.length };
+        });
+
+        await this.test('UNION 列数检查', async () => {
+            try {
+                await this.db.union([
+                    this.db.subquery('test_users', ['username', 'age'], {}),
+                    this.db.subquery('test_users', 'username', {})
+                ]);
+            } catch (error) {
+                return { rejected: true };
+            }
+
+            throw new Error('列数不同的 UNION 应被拒绝');
+        });
+    }
+
+    async testWithAPI() {
+        console.log('\n🌳 测试 WITH (CTE) API');
+        console.log('======================');
+
+        await this.test('CTE 查询测试', async () => {
+            const adults = this.db.with({
+                adults: this.db.subquery('test_users', ['id', 'username', 'age'], { 'age[>=]': 18 })
+            });
+
+            const count = await adults.count('adults');
+            const first = await adults.get('adults', 'username', { ORDER: { id: 'ASC' } });
+
+            return { count, first };
+        });
+
+        await this.test('递归 CTE 查询测试', async () => {
+            const numbers = this.db.with({
+                numbers: [
+                    this.db.subquery('test_users', { n: Medoo.raw('1') }, { LIMIT: 1 }),
+                    this.db.subquery('numbers', { n: Medoo.raw('<n> + 1') }, { 'n[<]': 5 })
+                ]
+            });
+
+            const rows = await numbers.select('numbers', ['n [Int]'], { ORDER: { n: 'ASC' } });
+
+            if (rows.map(row => row.n).join(',') !== '1,2,3,4,5') {
+                throw new Error('递归 CTE 结果不正确');
+            }
+
+            return rows;
+        });
+    }
+
     async testHasAPI() {
         console.log('\n🔍 测试 HAS API');
         console.log('================');
@@ -506,6 +754,61 @@ class MedooFullTester {
         });
     }
 
+    async testInsertModeAPI() {
+        console.log('\n🧾 测试 INSERT 模式');
+        console.log('===================');
+
+        await this.test('INSERT IGNORE 跳过重复记录', async () => {
+            const result = await this.db.insert('test_users', [
+                { username: 'john_doe', email: 'dup@example.com' },
+                { username: 'ignore_user', email: 'ignore@example.com' }
+            ], { mode: 'ignore' });
+
+            if (result.affectedRows !== 1 || result.skippedRows !== 1) {
+                throw new Error('INSERT IGNORE 计数不正确');
+            }
+
+            return result;
+        });
+
+        await this.test('REPLACE INTO 覆盖重复记录', async () => {
+            await this.db.insert('test_users', {
+                username: 'ignore_user',
+                email: 'replaced@example.com'
+            }, { mode: 'replace' });
+
+            return await this.db.get('test_users', 'email', { username: 'ignore_user' });
+        });
+    }
+
+    async testUpsertAPI() {
+        console.log('\n🔁 测试 UPSERT API');
+        console.log('==================');
+
+        await this.test('UPSERT 插入新记录', async () => {
+            return await this.db.upsert('test_users', {
+                username: 'upsert_user',
+                email: 'upsert@example.com',
+                login_count: 1
+            }, ['login_count[+]', 'email'], 'username');
+        });
+
+        await this.test('UPSERT 更新重复记录', async () => {
+            await this.db.upsert('test_users', {
+                username: 'upsert_user',
+                email: 'upsert.updated@example.com',
+                login_count: 2
+            }, ['login_count[+]', 'email'], 'username');
+
+            const user = await this.db.get('test_users', '*', { username: 'upsert_user' });
+            if (user.login_count !== 3 || user.email !== 'upsert.updated@example.com') {
+                throw new Error('UPSERT 未正确更新已有记录');
+            }
+
+            return { loginCount: user.login_count };
+        });
+    }
+
     async testDeleteAPI() {
         console.log('\n🗑️ 测试 DELETE API');
         console.log('==================');
@@ -588,6 +891,42 @@ class MedooFullTester {
                 'age[>=]': 25
             });
         });
+
+        await this.test('多个聚合测试', async () => {
+            const stats = await this.db.aggregates('test_users', {
+                users: 'COUNT(*)',
+                total_age: 'SUM(age)',
+                'oldest [Int]': 'MAX(age)'
+            });
+
+            if (stats.users !== await this.db.count('test_users')) {
+                throw new Error('COUNT 结果不一致');
+            }
+
+            return stats;
+        });
+
+        await this.test('DISTINCT 聚合测试', async () => {
+            const roles = await this.db.select('test_users', 'role', { DISTINCT: true });
+            const count = await this.db.count('test_users', 'role', { DISTINCT: true });
+            const pairs = await this.db.count('test_users', ['role', 'is_active'], { DISTINCT: true });
+
+            if (count !== roles.length || pairs < count) {
+                throw new Error('DISTINCT 计数不正确');
+            }
+
+            return { roles, count, pairs };
+        });
+
+        await this.test('分组聚合测试', async () => {
+            return await this.db.aggregates('test_users', {
+                users: 'COUNT(*)',
+                average_age: 'AVG(age)'
+            }, {
+                GROUP: 'role',
+                ORDER: { role: 'ASC' }
+            });
+        });
     }
 
     async testJoinAPI() {
@@ -632,6 +971,28 @@ class MedooFullTester {
             });
         });
 
+        await this.test('JOIN 条件测试', async () => {
+            const rows = await this.db.select('test_users', {
+                '[>]test_posts': {
+                    id: 'user_id',
+                    'test_posts.status': Medoo.value('published'),
+                    OR: {
+                        'test_posts.view_count[>=]': 10,
+                        'test_posts.title[~]': Medoo.value('Medoo')
+                    }
+                }
+            }, [
+                'test_users.username',
+                'test_posts.title(post_title)'
+            ]);
+
+            if (!this.db.last().includes(`ON "test_users"."id" = "test_posts"."user_id" AND "test_posts"."status" = 'published' AND ("test_posts"."view_count" >= 10 OR ("test_posts"."title" LIKE '%Medoo%'))`)) {
+                throw new Error(`JOIN 条件 SQL 不正确: ${this.db.last()}`);
+            }
+
+            return rows;
+        });
+
         await this.test('JOIN 聚合查询', async () => {
             return await this.db.select('test_users', {
                 '[>]test_posts': { id: 'user_id' }
@@ -645,6 +1006,89 @@ class MedooFullTester {
                 }
             });
         });
+
+        await this.test('派生表 JOIN 查询', async () => {
+            const latest = this.db.subquery('test_posts', {
+                user_id: Medoo.raw('<user_id>'),
+                last_id: Medoo.raw('MAX(<id>)')
+            }, {
+                GROUP: 'user_id'
+            });
+
+            return await this.db.select('test_users', {
+                '[>]latest': [latest, { id: 'user_id' }],
+                '[>]test_posts': { 'latest.last_id': 'id' }
+            }, [
+                'test_users.username',
+                'test_posts.title(latest_title)'
+            ]);
+        });
+
+        await this.test('派生表 FROM 查询', async () => {
+            const counts = this.db.subquery('test_posts', {
+                user_id: Medoo.raw('<user_id>'),
+                posts: Medoo.raw('COUNT(*)')
+            }, {
+                GROUP: 'user_id'
+            }).as('counts');
+
+            return await this.db.select(counts, {
+                '[><]test_users': { user_id: 'id' }
+            }, ['test_users.username', 'counts.posts [Int]']);
+        });
+
+        await this.test('CROSS / NATURAL JOIN SQL 测试', async () => {
+            await this.db.select('test_users', {
+                '[CROSS]test_profiles': null
+            }, ['test_users.username', 'test_profiles.avatar'], { LIMIT: 5 });
+
+            if (!this.db.last().includes('FROM "test_users" CROSS JOIN "test_profiles" LIMIT 5')) {
+                throw new Error(`CROSS JOIN SQL 不正确: ${this.db.last()}`);
+            }
+
+            const rows = await this.db.select('test_posts', {
+                '[NATURAL]test_profiles': null
+            }, ['test_posts.title']);
+
+            if (!this.db.last().includes('FROM "test_posts" NATURAL JOIN "test_profiles"')) {
+                throw new Error(`NATURAL JOIN SQL 不正确: ${this.db.last()}`);
+            }
+
+            return rows;
+        });
+
+        await this.test('多级 JOIN SQL 测试', async () => {
+            const rows = await this.db.select('test_users (u)', {
+                '[><]test_posts (p)': { id: 'user_id' },
+                '[>]test_profiles': { 'test_posts.user_id': 'user_id' }
+            }, ['u.username', 'p.title', 'test_profiles.avatar']);
+
+            if (!this.db.last().includes('FROM "test_users" AS "u" INNER JOIN "test_posts" AS "p" ON "u"."id" = "p"."user_id" LEFT JOIN "test_profiles" ON "p"."user_id" = "test_profiles"."user_id"')) {
+                throw new Error(`多级 JOIN SQL 不正确: ${this.db.last()}`);
+            }
+
+            return rows;
+        });
+
+        await this.test('自连接 SQL 测试', async () => {
+            const rows = await this.db.select('test_users (a)', {
+                '[><]test_users (b)': { role: 'role', 'id[<]': 'id' }
+            }, ['a.username', 'b.username(peer)']);
+
+            if (!this.db.last().includes('FROM "test_users" AS "a" INNER JOIN "test_users" AS "b" ON "a"."role" = "b"."role" AND "a"."id" < "b"."id"')) {
+                throw new Error(`自连接 SQL 不正确: ${this.db.last()}`);
+            }
+
+            try {
+                await this.db.select('test_users', {
+                    '[>]test_users': { id: 'id' }
+                }, '*');
+            } catch (error) {
+                return { rows: rows.length, selfJoinWithoutAlias: error.message };
+            }
+
+            throw new Error('没有别名的自连接应该抛出错误');
+        });
     }
 
     async testTransactionAPI() {
@@ -704,6 +1148,114 @@ class MedooFullTester {
             }
         });
 
+        await this.test('嵌套事务测试', async () => {
+            const result = await this.db.action(async (db) => {
+                await db.insert('test_users', {
+                    username: 'nested_outer',
+                    email: 'nested_outer@example.com'
+                });
+
+                await db.action(async (inner) => {
+                    await inner.insert('test_users', {
+                        username: 'nested_inner',
+                        email: 'nested_inner@example.com'
+                    });
+
+                    // 只回滚内层 SAVEPOINT
+                    return false;
+                });
+
+                return { success: true };
+            });
+
+            const outer = await this.db.has('test_users', { username: 'nested_outer' });
+            const inner = await this.db.has('test_users', { username: 'nested_inner' });
+
+            if (!outer || inner) {
+                throw new Error('嵌套事务回滚范围不正确');
+            }
+
+            return result;
+        });
+
+        await this.test('事务钩子测试', async () => {
+            const events = [];
+
+            await this.db.action(async (db) => {
+                db.afterCommit(() => events.push('commit'));
+                db.afterRollback(() => events.push('rollback'));
+
+                await db.action(async (inner) => {
+                    inner.afterCommit(() => events.push('inner_commit'));
+                    inner.afterRollback(() => events.push('inner_rollback'));
+                    return false;
+                });
+
+                await db.insert('test_users', {
+                    username: 'hook_user',
+                    email: 'hook@example.com'
+                });
+
+                // 回调中通过原实例执行的查询也属于事务
+                if (!await this.db.has('test_users', { username: 'hook_user' })) {
+                    throw new Error('原实例的查询应能看到事务中插入的 hook_user');
+                }
+            });
+
+            if (events.join(',') !== 'inner_rollback,commit') {
+                throw new Error(`钩子执行顺序不正确: ${events.join(',')}`);
+            }
+
+            return { events };
+        });
+
+        await this.test('事务隔离级别与重试测试', async () => {
+            let attempts = 0;
+
+            const result = await this.db.action(async (db) => {
+                attempts++;
+
+                if (attempts === 1) {
+                    const error = new Error('模拟死锁');
+                    error.code = 'ER_LOCK_DEADLOCK';
+                    throw error;
+                }
+
+                return await db.count('test_users');
+            }, {
+                isolation: 'READ COMMITTED',
+                retries: 2,
+                backoff: 10
+            });
+
+            if (attempts !== 2) {
+                throw new Error(`死锁后应重试一次，实际执行 ${attempts} 次`);
+            }
+
+            return { attempts, count: result };
+        });
+
+        await this.test('行锁测试', async () => {
+            return await this.db.action(async (db) => {
+                const users = await db.select('test_users', ['id'], {
+                    ORDER: { id: 'ASC' },
+                    LIMIT: 2,
+                    LOCK: 'UPDATE SKIP LOCKED'
+                });
+
+                const user = await db.get('test_users', ['id'], {
+                    id: users[0].id,
+                    LOCK: 'SHARE'
+                });
+
+                if (!db.last().endsWith('LOCK IN SHARE MODE')) {
+                    throw new Error(`行锁子句不正确: ${db.last()}`);
+                }
+
+                return { locked: users.length, user };
+            });
+        });
+
         await this.test('手动事务控制测试', async () => {
             await this.db.beginTransaction();
             try {
@@ -760,6 +1312,18 @@ class MedooFullTester {
             );
             return result.rows;
         }, false);
+
+        await this.test('query() 原生查询测试', async () => {
+            const rows = await this.db.query(
+                'SELECT <username>, <email> FROM <test_users> WHERE <age> > :age ORDER BY <id> LIMIT 2',
+                { ':age': 25 }
+            );
+            const positional = await this.db.query(
+                'SELECT COUNT(*) AS total FROM <test_users> WHERE <role> = ?',
+                ['admin']
+            );
+            return { rows: rows.length, admins: positional[0].total };
+        });
     }
 
     async testUtilityAPI() {
@@ -824,6 +1388,580 @@ class MedooFullTester {
         }, false);
     }
 
+    async testPoolAPI() {
+        console.log('\n🏊 测试连接池 API');
+        console.log('===================');
+
+        const pooled = new Medoo({
+            type: 'mysql',
+            server: 'localhost',
+            username: 'root',
+            password: '',
+            database_name: 'ticket_management',
+            port: 3306,
+            charset: 'utf8mb4',
+            pool: { size: 4, acquireTimeout: 5000 }
+        });
+
+        await this.test('连接池只初始化一次', async () => {
+            let pools = 0;
+
+            class StubPoolDriver extends Driver {
+                async createPool(options, poolOptions) {
+                    pools++;
+                    await new Promise(resolve => setTimeout(resolve, 10));
+
+                    return {
+                        getConnection: async () => ({
+                            execute: async () => [[{ medoo_aggregate: 3 }]],
+                            release() {}
+                        }),
+                        end: async () => {}
+                    };
+                }
+            }
+
+            Medoo.registerDriver('stub_pool', StubPoolDriver);
+            const stub = new Medoo({ type: 'stub_pool', pool: { size: 4 } });
+
+            const counts = await stub.batch([
+                (db) => db.count('test_users'),
+                (db) => db.count('test_posts'),
+                (db) => db.count('test_orders')
+            ]);
+            await stub.close();
+
+            if (pools !== 1) {
+                throw new Error(`并发查询创建了 ${pools} 个连接池`);
+            }
+
+            return { pools, counts };
+        }, false);
+
+        await this.test('原实例嵌套事务使用 SAVEPOINT', async () => {
+            const statements = [];
+            let connections = 0;
+
+            class StubTransactionDriver extends Driver {
+                async createPool(options, poolOptions) {
+                    return {
+                        getConnection: async () => {
+                            const id = ++connections;
+                            const record = query => statements.push(`c${id}: ${query}`);
+
+                            return {
+                                execute: async query => {
+                                    record(query);
+                                    return [{ affectedRows: 1, insertId: 7 }];
+                                },
+                                beginTransaction: async () => record('BEGIN'),
+                                commit: async () => record('COMMIT'),
+                                rollback: async () => record('ROLLBACK'),
+                                release() {}
+                            };
+                        },
+                        end: async () => {}
+                    };
+                }
+            }
+
+            Medoo.registerDriver('stub_transaction', StubTransactionDriver);
+            const stub = new Medoo({ type: 'stub_transaction', pool: { size: 4 } });
+
+            // 服务函数只拿到原实例
+            const addPoints = () => stub.action(async () => {
+                await stub.insert('points', { user_id: 1 });
+            });
+
+            await stub.action(async (db) => {
+                await db.insert('orders', { user_id: 1 });
+                await addPoints();
+                return false;
+            });
+
+            const failed = stub.error();
+            await stub.close();
+
+            const expected = [
+                'c1: BEGIN',
+                'c1: INSERT INTO "orders" ("user_id") VALUES (?)',
+                'c1: SAVEPOINT medoo_savepoint_1',
+                'c1: INSERT INTO "points" ("user_id") VALUES (?)',
+                'c1: RELEASE SAVEPOINT medoo_savepoint_1',
+                'c1: ROLLBACK'
+            ];
+
+            if (statements.join('\n') !== expected.join('\n')) {
+                throw new Error(`嵌套事务没有进入外层事务: ${statements.join(' | ')}`);
+            }
+
+            if (stub.last() !== 'INSERT INTO "points" ("user_id") VALUES (1)' || failed !== null) {
+                throw new Error(`原实例没有记录事务中的查询: ${stub.last()}`);
+            }
+
+            return { statements };
+        }, false);
+
+        try {
+            await this.test('连接池并行查询', async () => {
+                const [users, posts, orders] = await pooled.batch([
+                    (db) => db.count('test_users'),
+                    (db) => db.count('test_posts'),
+                    (db) => db.count('test_orders')
+                ]);
+                return { users, posts, orders };
+            }, false);
+
+            await this.test('连接池事务', async () => {
+                return await pooled.action(async (db) => {
+                    await db.insert('test_orders', {
+                        user_id: 1,
+                        amount: 19.99,
+                        status: 'pending'
+                    });
+
+                    const orderId = await db.id();
+                    if (!orderId) {
+                        throw new Error('事务连接上获取插入 ID 失败');
+                    }
+
+                    return { orderId };
+                });
+            }, false);
+        } finally {
+            await pooled.close();
+        }
+    }
+
+    async testSQLiteAPI() {
+        console.log('\n🪶 测试 SQLite API');
+        console.log('==================');
+
+        const sqlite = new Medoo({
+            type: 'sqlite',
+            database_file: ':memory:'
+        });
+
+        try {
+            await this.test('SQLite 建表与插入', async () => {
+                await sqlite.create('test_users', {
+                    id: ['INTEGER', 'PRIMARY KEY', 'AUTOINCREMENT'],
+                    username: ['TEXT', 'NOT NULL'],
+                    age: ['INTEGER'],
+                    is_active: ['BOOLEAN', 'DEFAULT 1']
+                });
+
+                return await sqlite.insert('test_users', [
+                    { username: 'john_doe', age: 25, is_active: true },
+                    { username: 'jane_smith', age: 30, is_active: false }
+                ]);
+            }, false);
+
+            await this.test('SQLite 查询与聚合', async () => {
+                const users = await sqlite.select('test_users', ['username', 'age'], {
+                    ORDER: { username: ['jane_smith', 'john_doe'] },
+                    LIMIT: [0, 2]
+                });
+                const count = await sqlite.count('test_users', { 'age[>=]': 25 });
+                const exists = await sqlite.has('test_users', { username: 'john_doe' });
+
+                if (count !== 2 || !exists) {
+                    throw new Error('SQLite 查询结果不正确');
+                }
+
+                return { users: users.length, count, exists };
+            }, false);
+
+            await this.test('SQLite UPSERT 插入 ID', async () => {
+                await sqlite.create('test_counters', {
+                    id: ['INTEGER', 'PRIMARY KEY'],
+                    name: ['TEXT', 'UNIQUE'],
+                    hits: ['INTEGER']
+                });
+
+                const inserted = await sqlite.upsert('test_counters', { id: 100, name: 'home', hits: 1 }, ['hits[+]'], 'name');
+                const batch = await sqlite.insert('test_counters', [
+                    { id: 50, name: 'about', hits: 1 },
+                    { id: 5, name: 'contact', hits: 1 }
+                ]);
+
+                if (batch.insertId !== 5) {
+                    throw new Error(`多行插入应返回最后一行的 ID: ${batch.insertId}`);
+                }
+
+                const updated = await sqlite.upsert('test_counters', { name: 'home', hits: 1 }, ['hits[+]'], 'name');
+                const hits = await sqlite.get('test_counters', 'hits', { id: 100 });
+
+                if (inserted.insertId !== 100 || updated.insertId !== 0 || hits !== 2) {
+                    throw new Error(`UPSERT 插入 ID 不正确: ${inserted.insertId}, ${updated.insertId}`);
+                }
+
+                await sqlite.drop('test_counters');
+                return { inserted: inserted.insertId, updated: updated.insertId, hits };
+            }, false);
+
+            await this.test('SQLite SAVEPOINT 可重试错误', async () => {
+                await sqlite.action(async (db) => {
+                    try {
+                        await db.action(async (inner) => {
+                            await inner.insert('test_users', { username: 'inner_partial', age: 1 });
+
+                            const error = new Error('database is locked');
+                            error.code = 'SQLITE_BUSY';
+                            throw error;
+                        });
+                    } catch (error) {
+                        // 外层捕获后继续执行
+                    }
+
+                    await db.insert('test_users', { username: 'outer_user', age: 2 });
+                });
+
+                const partial = await sqlite.has('test_users', { username: 'inner_partial' });
+                const outer = await sqlite.has('test_users', { username: 'outer_user' });
+
+                if (partial || !outer) {
+                    throw new Error('SAVEPOINT 中的写入未被回滚');
+                }
+
+                await sqlite.delete('test_users', { username: 'outer_user' });
+                return { partial, outer };
+            }, false);
+
+            await this.test('SQLite 事务与并发写入', async () => {
+                let started;
+                let finish;
+                const opened = new Promise(resolve => { started = resolve; });
+                const gate = new Promise(resolve => { finish = resolve; });
+
+                const transaction = sqlite.action(async (db) => {
+                    await db.insert('test_users', { username: 'rolled_back_user', age: 3 });
+                    started();
+                    await gate;
+                    return false;
+                });
+
+                await opened;
+
+                // 其他调用方的写入和事务要等待上面的事务结束，不能被它回滚
+                const writer = sqlite.insert('test_users', { username: 'concurrent_writer', age: 4 });
+                const second = sqlite.action(async (db) => {
+                    await db.insert('test_users', { username: 'second_transaction', age: 5 });
+                });
+
+                await new Promise(resolve => setTimeout(resolve, 10));
+                finish();
+                await Promise.all([transaction, writer, second]);
+
+                const usernames = await sqlite.select('test_users', 'username', {
+                    username: ['rolled_back_user', 'concurrent_writer', 'second_transaction']
+                });
+
+                if (usernames.sort().join(',') !== 'concurrent_writer,second_transaction') {
+                    throw new Error(`并发写入结果不正确: ${usernames.join(',')}`);
+                }
+
+                await sqlite.delete('test_users', { username: usernames });
+                return { usernames };
+            }, false);
+
+            await this.test('SQLite 事务中的日志与错误', async () => {
+                await sqlite.select('test_users', 'username');
+
+                await sqlite.action(async (db) => {
+                    try {
+                        await db.insert('missing_table', { name: 'nobody' });
+                    } catch (error) {
+                        return false;
+                    }
+                });
+
+                if (!sqlite.error() || sqlite.last() !== 'INSERT INTO "missing_table" ("name") VALUES (\'nobody\')') {
+                    throw new Error(`原实例没有记录事务中的查询: ${sqlite.last()}`);
+                }
+
+                return { last: sqlite.last(), error: sqlite.error().message };
+            }, false);
+
+            await this.test('SQLite 流式查询期间的写入', async () => {
+                const total = await sqlite.count('test_users');
+                const pending = [];
+                let rows = 0;
+
+                for await (const user of sqlite.stream('test_users', ['id[Int]'])) {
+                    // 其他调用方的查询排队等待迭代结束，不会因连接忙而失败
+                    if (rows++ === 0) {
+                        pending.push(sqlite.insert('test_users', { username: 'stream_writer', age: 6 }));
+                        pending.push(sqlite.action(async (db) => {
+                            await db.insert('test_users', { username: 'stream_transaction', age: 7 });
+                        }));
+                    }
+                }
+
+                await Promise.all(pending);
+
+                const written = await sqlite.count('test_users', {
+                    username: ['stream_writer', 'stream_transaction']
+                });
+
+                if (rows !== total || written !== 2) {
+                    throw new Error(`流式查询期间的写入不正确: ${rows}/${total} 行, 写入 ${written} 行`);
+                }
+
+                // 事务中的流式读取期间不能在循环体内查询
+                let blocked = null;
+
+                await sqlite.action(async (db) => {
+                    for await (const user of db.stream('test_users', ['id[Int]'])) {
+                        try {
+                            await db.delete('test_users', { id: user.id });
+                        } catch (error) {
+                            blocked = error.message;
+                        }
+                        break;
+                    }
+                });
+
+                if (!blocked || await sqlite.count('test_users') !== total + 2) {
+                    throw new Error('事务中的流式读取期间，循环体内的查询应被拒绝');
+                }
+
+                await sqlite.delete('test_users', { username: ['stream_writer', 'stream_transaction'] });
+                return { rows, written, blocked };
+            }, false);
+
+            await this.test('SQLite 事务回滚', async () => {
+                await sqlite.action(async (db) => {
+                    await db.delete('test_users', { username: 'john_doe' });
+                    return false;
+                });
+
+                return { rollbackSuccess: await sqlite.has('test_users', { username: 'john_doe' }) };
+            }, false);
+        } finally {
+            await sqlite.drop('test_users');
+            await sqlite.close();
+        }
+    }
+
+    async testCustomDriverAPI() {
+        console.log('\n🔌 测试自定义驱动 API');
+        console.log('======================');
+
+        const statements = [];
+        let connections = 0;
+        let ended = 0;
+
+        class StubMssqlDriver extends Driver {
+            get name() {
+                return 'stub-mssql';
+            }
+
+            async connect(options) {
+                const connection = ++connections;
+
+                return {
+                    execute: async (query, values = []) => {
+                        statements.push({ query, values, connection });
+                        return [[]];
+                    },
+                    stream: async function* (query, values = []) {
+                        statements.push({ query, values, connection });
+                        yield { id: '1' };
+                        yield { id: '2' };
+                    },
+                    end: async () => {
+                        ended++;
+                    }
+                };
+            }
+
+            quoteIdentifier(name) {
+                return `[${name}]`;
+            }
+
+            placeholder(index) {
+                return `@p${index}`;
+            }
+
+            limit(count, offset = null, ordered = false) {
+                return `${ordered ? '' : ' ORDER BY (SELECT NULL)'} OFFSET ${offset || 0} ROWS FETCH NEXT ${count} ROWS ONLY`;
+            }
+
+            random() {
+                return 'NEWID()';
+            }
+        }
+
+        Medoo.registerDriver('stub_mssql', StubMssqlDriver);
+        const mssql = new Medoo({ type: 'stub_mssql' });
+
+        try {
+            await this.test('自定义驱动方言', async () => {
+                await mssql.select('users', ['id', 'name'], {
+                    'age[>]': 18,
+                    status: 'active',
+                    ORDER: { id: 'DESC' },
+                    LIMIT: [20, 10]
+                });
+                await mssql.get('users', 'name', { id: 5 });
+                await mssql.rand('users', 'id', { LIMIT: 3 });
+
+                const expected = [
+                    'SELECT [id],[name] FROM [users] WHERE [age] > @p1 AND [status] = @p2 ORDER BY [id] DESC OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY',
+                    'SELECT [name] FROM [users] WHERE [id] = @p1 ORDER BY (SELECT NULL) OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY',
+                    'SELECT [id] FROM [users] ORDER BY NEWID() OFFSET 0 ROWS FETCH NEXT 3 ROWS ONLY'
+                ];
+
+                if (statements.length !== expected.length) {
+                    throw new Error(`执行了 ${statements.length} 条语句`);
+                }
+
+                statements.forEach(({ query }, index) => {
+                    if (query !== expected[index]) {
+                        throw new Error(`自定义驱动 SQL 不正确: ${query}`);
+                    }
+                });
+
+                if (JSON.stringify(statements[0].values) !== JSON.stringify([18, 'active'])) {
+                    throw new Error(`参数不正确: ${JSON.stringify(statements[0].values)}`);
+                }
+
+                return statements.map(({ query }) => query);
+            }, false);
+
+            await this.test('单连接模式下的流式查询', async () => {
+                statements.length = 0;
+
+                // 流式查询使用单独的连接，循环体内的查询不用排在剩余的行后面
+                for await (const user of mssql.stream('users', ['id[Int]'])) {
+                    await mssql.update('users', { name: 'streamed' }, { id: user.id });
+                }
+
+                const used = statements.map(({ connection }) => connection).join(',');
+
+                if (used !== '2,1,1' || ended !== 1) {
+                    throw new Error(`流式查询没有使用单独的连接: ${used}，关闭 ${ended} 个连接`);
+                }
+
+                return statements.map(({ query, connection }) => `${connection}: ${query}`);
+            }, false);
+        } finally {
+            await mssql.close();
+        }
+    }
+
+    async testPgsqlAPI() {
+        console.log('\n🐘 测试 PostgreSQL 驱动 SQL');
+        console.log('===========================');
+
+        // 用记录语句的连接代替 pg，不需要 PostgreSQL 服务器
+        const statements = [];
+
+        class StubPgsqlDriver extends Medoo.drivers.pgsql {
+            async connect(options) {
+                return {
+                    execute: async (query, values = []) => {
+                        statements.push({ query, values });
+                        return /^INSERT/.test(query) ? [{ affectedRows: 1, insertId: 7 }] : [[]];
+                    },
+                    end: async () => {}
+                };
+            }
+        }
+
+        Medoo.registerDriver('stub_pgsql', StubPgsqlDriver);
+        const pg = new Medoo({ type: 'stub_pgsql' });
+
+        try {
+            await this.test('PostgreSQL 占位符', async () => {
+                await pg.select('users', ['id', 'name'], {
+                    'age[>]': 18,
+                    role: ['admin', 'user'],
+                    name: 'john'
+                });
+
+                const { query, values } = statements[statements.length - 1];
+
+                if (query !== 'SELECT "id","name" FROM "users" WHERE "age" > $1 AND "role" IN ($2, $3) AND "name" = $4') {
+                    throw new Error(`占位符不正确: ${query}`);
+                }
+                if (JSON.stringify(values) !== JSON.stringify([18, 'admin', 'user', 'john'])) {
+                    throw new Error(`参数顺序不正确: ${JSON.stringify(values)}`);
+                }
+
+                return { query, values };
+            }, false);
+
+            await this.test('PostgreSQL RETURNING', async () => {
+                const result = await pg.insert('users', { name: 'john' }, 'id');
+                const { query } = statements[statements.length - 1];
+
+                if (query !== 'INSERT INTO "users" ("name") VALUES ($1) RETURNING "id"' || result.insertId !== 7) {
+                    throw new Error(`RETURNING 不正确: ${query}`);
+                }
+
+                return { query, insertId: result.insertId, id: await pg.id() };
+            }, false);
+
+            await this.test('PostgreSQL UPSERT 累加', async () => {
+                await pg.upsert('page_stats', { path: '/home', hits: 1 }, ['hits[+]'], 'path');
+                await pg.upsert('page_stats', { path: '/home', hits: 1 }, { 'hits[+]': 1 }, 'path');
+
+                const queries = statements.slice(-2).map(({ query }) => query);
+
+                if (!queries[0].endsWith('DO UPDATE SET "hits" = "page_stats"."hits" + EXCLUDED."hits"')
+                    || !queries[1].endsWith('DO UPDATE SET "hits" = "page_stats"."hits" + 1')) {
+                    throw new Error(`UPSERT 原值未带表名: ${queries.join('; ')}`);
+                }
+
+                return queries;
+            }, false);
+
+            await this.test('PostgreSQL 正则匹配', async () => {
+                await pg.select('users', 'id', { 'name[REGEXP]': '^jo' });
+                const { query, values } = statements[statements.length - 1];
+
+                if (query !== 'SELECT "id" FROM "users" WHERE "name" ~ $1' || values[0] !== '^jo') {
+                    throw new Error(`正则匹配 SQL 不正确: ${query}`);
+                }
+
+                return { query };
+            }, false);
+        } finally {
+            await pg.close();
+        }
+    }
+
+    async testStreamAPI() {
+        console.log('\n🌊 测试流式查询 API');
+        console.log('====================');
+
+        await this.test('流式查询与类型转换', async () => {
+            const rows = [];
+
+            for await (const user of this.db.stream('test_users', [
+                'id[Int]',
+                'username',
+                'balance[Number]'
+            ], {
+                ORDER: { id: 'ASC' }
+            })) {
+                if (typeof user.id !== 'number' || typeof user.balance !== 'number') {
+                    throw new Error('流式查询未进行类型转换');
+                }
+                rows.push(user);
+            }
+
+            const total = await this.db.count('test_users');
+            if (rows.length !== total) {
+                throw new Error('流式查询行数不正确');
+            }
+
+            return { rows: rows.length };
+        });
+    }
+
     async testDebugAPI() {
         console.log('\n🐛 测试调试功能 API');
         console.log('====================');
@@ -886,8 +2024,13 @@ class MedooFullTester {
             await this.testInsertAPI();
             await this.testSelectAPI();
             await this.testGetAPI();
+            await this.testPaginateAPI();
+            await this.testUnionAPI();
+            await this.testWithAPI();
             await this.testHasAPI();
             await this.testUpdateAPI();
+            await this.testUpsertAPI();
+            await this.testInsertModeAPI();
             await this.testDeleteAPI();
             await this.testReplaceAPI();
             await this.testAggregateAPI();
@@ -896,6 +2039,11 @@ class MedooFullTester {
             await this.testRawSQLAPI();
             await this.testUtilityAPI();
             await this.testPerformanceAPI();
+            await this.testStreamAPI();
+            await this.testPoolAPI();
+            await this.testSQLiteAPI();
+            await this.testCustomDriverAPI();
+            await this.testPgsqlAPI();
             await this.testDebugAPI();
             await this.testDataTypeConversion();
 
@@ -8,7 +8,21 @@
  * Released under the MIT license
  */
 
-const mysql = require('mysql2/promise');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Quote a literal for drivers without an escape() of their own
+function escapeValue(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
 
 class Raw {
     constructor(value, map = {}) {
@@ -17,9 +31,652 @@ class Raw {
     }
 }
 
+// A literal bound as a parameter where a plain string names a column, as in join relations
+class Value {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+// A SELECT built from select() style arguments, used as a value inside another query
+class Subquery {
+    constructor(table, join, columns = null, where = null) {
+        this.table = table;
+        this.join = join;
+        this.columns = columns;
+        this.where = where;
+        this.alias = null;
+    }
+
+    // Name a subquery used as a derived table in FROM
+    as(alias) {
+        this.alias = alias;
+        return this;
+    }
+}
+
+// A window function column: name(args) OVER (PARTITION BY ... ORDER BY ... frame)
+class WindowFunction {
+    constructor(name, args = null, over = {}) {
+        this.name = name;
+        this.args = args;
+        this.over = over || {};
+    }
+}
+
+// Wraps a better-sqlite3 database in the mysql2 promise connection interface
+class SqliteConnection {
+    constructor(database) {
+        this.database = database;
+
+        // SQLite has no built-in REGEXP function, the operator calls this one
+        this.database.function('regexp', { deterministic: true }, (pattern, value) => {
+            if (value === null) {
+                return null;
+            }
+            return new RegExp(pattern).test(String(value)) ? 1 : 0;
+        });
+    }
+
+    // better-sqlite3 only binds numbers, strings, bigints, buffers and null
+    bindValue(value) {
+        if (value === undefined) {
+            return null;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return value;
+    }
+
+    async execute(query, values = []) {
+        const statement = this.database.prepare(query);
+        const parameters = values.map(value => this.bindValue(value));
+
+        if (statement.reader) {
+            return [statement.all(parameters)];
+        }
+
+        // An upsert that updates leaves last_insert_rowid() as it was, that old id is not this row's
+        const upsert = /\bON\s+CONFLICT\b.*\bDO\s+UPDATE\b/is.test(query);
+        const previousId = upsert ? this.database.prepare('SELECT last_insert_rowid() AS id').get().id : null;
+
+        const info = statement.run(parameters);
+        const inserted = /^\s*(INSERT|REPLACE)\b/i.test(query) && info.changes > 0
+            && !(upsert && Number(info.lastInsertRowid) === Number(previousId));
+
+        // SQLite only knows the last id of a multi-row insert, explicit ids need not be consecutive
+        return [{
+            affectedRows: info.changes,
+            changedRows: info.changes,
+            insertId: inserted ? Number(info.lastInsertRowid) : 0
+        }];
+    }
+
+    // Rows are stepped through one at a time, the database stays busy until the iteration ends
+    stream(query, values = []) {
+        return this.database.prepare(query).iterate(values.map(value => this.bindValue(value)));
+    }
+
+    async beginTransaction() {
+        this.database.exec('BEGIN');
+    }
+
+    async commit() {
+        this.database.exec('COMMIT');
+    }
+
+    async rollback() {
+        this.database.exec('ROLLBACK');
+    }
+
+    escape(value) {
+        return escapeValue(value);
+    }
+
+    async end() {
+        this.database.close();
+    }
+}
+
+// Wraps a pg client or pool in the mysql2 promise connection interface
+class PgConnection {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async execute(query, values = []) {
+        const result = await this.client.query(query, values);
+
+        if (!['INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(result.command)) {
+            return [result.rows];
+        }
+
+        // Ids come back from the RETURNING clause insert() adds
+        const returning = result.command === 'INSERT' && result.rows.length > 0;
+
+        return [{
+            affectedRows: result.rowCount,
+            changedRows: result.rowCount,
+            insertId: returning ? Object.values(result.rows[0])[0] : 0,
+            rows: result.rows
+        }];
+    }
+
+    // Read through a server-side cursor in batches, needs the pg-cursor package
+    async *stream(query, values = []) {
+        const Cursor = require('pg-cursor');
+        const cursor = this.client.query(new Cursor(query, values));
+
+        try {
+            let rows = await cursor.read(100);
+
+            while (rows.length > 0) {
+                yield* rows;
+                rows = await cursor.read(100);
+            }
+        } finally {
+            await cursor.close();
+        }
+    }
+
+    async beginTransaction() {
+        await this.client.query('BEGIN');
+    }
+
+    async commit() {
+        await this.client.query('COMMIT');
+    }
+
+    async rollback() {
+        await this.client.query('ROLLBACK');
+    }
+
+    escape(value) {
+        return escapeValue(value);
+    }
+
+    release() {
+        this.client.release();
+    }
+
+    async end() {
+        await this.client.end();
+    }
+}
+
+// pg.Pool with the mysql2 pool interface, including its queue limit
+class PgPool extends PgConnection {
+    constructor(pool, queueLimit = 0) {
+        super(pool);
+        this.queueLimit = queueLimit;
+
+        // Idle clients report backend errors on the pool, which would crash the process unhandled
+        pool.on('error', error => {
+            console.error('Idle database connection error:', error.message);
+        });
+    }
+
+    async getConnection() {
+        if (this.queueLimit && this.client.waitingCount >= this.queueLimit) {
+            throw new Error('Queue limit reached.');
+        }
+
+        return new PgConnection(await this.client.connect());
+    }
+}
+
+// Base class for database backends, register subclasses with Medoo.registerDriver().
+// connect() resolves to a connection with execute(query, values) => [rows], beginTransaction(),
+// commit(), rollback() and end(). createPool() resolves to the same plus getConnection(), whose
+// connections also have release(). The remaining methods describe the SQL dialect.
+class Driver {
+    // Package name reported by info()
+    get name() {
+        return 'unknown';
+    }
+
+    // Most bound values a single statement can take
+    get maxParameters() {
+        return 65535;
+    }
+
+    async connect(options) {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    // Return null when the backend has no pool, Medoo falls back to a single connection
+    async createPool(options, poolOptions) {
+        return null;
+    }
+
+    quoteIdentifier(name) {
+        return `"${name}"`;
+    }
+
+    quote(value) {
+        return escapeValue(value);
+    }
+
+    // True when transactions have to run on the one connection instead of opening their own
+    get sharedConnection() {
+        return false;
+    }
+
+    // Run a statement that has no parameters or rows, like SAVEPOINT
+    async command(connection, query) {
+        await connection.execute(query);
+    }
+
+    // Start a transaction with an optional isolation level like 'READ COMMITTED' and access mode
+    async begin(connection, isolation = null, readOnly = false) {
+        const modes = this.transactionModes(isolation, readOnly);
+
+        await connection.beginTransaction();
+
+        if (modes) {
+            await this.command(connection, `SET TRANSACTION ${modes}`);
+        }
+    }
+
+    // Characteristics for SET TRANSACTION
+    transactionModes(isolation, readOnly) {
+        const modes = [];
+
+        if (isolation) {
+            const level = String(isolation).toUpperCase().replace(/[\s_]+/g, ' ').trim();
+
+            if (!['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'].includes(level)) {
+                throw new Error(`Unknown transaction isolation level "${isolation}"`);
+            }
+
+            modes.push(`ISOLATION LEVEL ${level}`);
+        }
+
+        if (readOnly) {
+            modes.push('READ ONLY');
+        }
+
+        return modes.join(', ');
+    }
+
+    // Whether a failed transaction can be run again as is, like after a deadlock
+    isRetryable(error) {
+        return false;
+    }
+
+    // Whether a savepoint statement failed because the server already rolled back the whole transaction
+    savepointLost(error) {
+        return false;
+    }
+
+    // Async iterable of raw rows, read from the database as they are consumed
+    stream(connection, query, values) {
+        if (typeof connection.stream !== 'function') {
+            throw new Error(`Streaming is not supported by ${this.name}`);
+        }
+        return connection.stream(query, values);
+    }
+
+    // Positional placeholder for the index-th bound value, starting at 1
+    placeholder(index) {
+        return '?';
+    }
+
+    // ordered tells whether the query already has an ORDER BY, for dialects whose paging needs one
+    limit(count, offset = null, ordered = false) {
+        return offset === null ? ` LIMIT ${count}` : ` LIMIT ${count} OFFSET ${offset}`;
+    }
+
+    random() {
+        return 'RANDOM()';
+    }
+
+    regexp(column, value) {
+        return `${column} REGEXP ${value}`;
+    }
+
+    // Order by a list of quoted values
+    orderField(column, values) {
+        const cases = values.map((value, index) => `WHEN ${value} THEN ${index}`);
+        return `CASE ${column} ${cases.join(' ')} ELSE ${values.length} END`;
+    }
+
+    // Full-text search, mode is natural, natural+query, boolean or query
+    match(columns, keyword, mode) {
+        throw new Error(`Full-text MATCH is not supported by ${this.name}`);
+    }
+
+    // Value a conflicting INSERT tried to write, for upsert assignments
+    excluded(column) {
+        return `EXCLUDED.${column}`;
+    }
+
+    // Clause turning an INSERT into an upsert, conflict holds the quoted unique key columns
+    upsert(conflict, assignments) {
+        const target = conflict.length > 0 ? ` (${conflict.join(', ')})` : '';
+        return ` ON CONFLICT${target} DO UPDATE SET ${assignments.join(', ')}`;
+    }
+
+    // Rewrite a plain INSERT for the ignore (skip duplicates) or replace (overwrite duplicates) mode
+    insertMode(query, mode) {
+        if (mode === 'ignore') {
+            return `${query} ON CONFLICT DO NOTHING`;
+        }
+        throw new Error(`Insert mode "${mode}" is not supported by ${this.name}`);
+    }
+
+    // Row locking clause, mode is UPDATE or SHARE and wait is null, NOWAIT or SKIP LOCKED
+    lock(mode, wait) {
+        return ` FOR ${mode}${wait ? ` ${wait}` : ''}`;
+    }
+
+    // Clause appended to INSERT to get the generated key back
+    returning(column) {
+        return '';
+    }
+
+    // Query for the last generated id, null when ids only come back through returning()
+    lastInsertIdQuery() {
+        return null;
+    }
+
+    versionQuery() {
+        return 'SELECT VERSION() as version';
+    }
+}
+
+class MysqlDriver extends Driver {
+    get name() {
+        return 'mysql2';
+    }
+
+    load() {
+        return require('mysql2/promise');
+    }
+
+    config(options) {
+        const config = {
+            host: options.server || options.host || 'localhost',
+            port: options.port || 3306,
+            user: options.username || 'root',
+            password: options.password || '',
+            database: options.database_name || options.database,
+            charset: options.charset || 'utf8mb4',
+            timezone: 'Z',
+            ...options.option
+        };
+
+        if (options.socket) {
+            config.socketPath = options.socket;
+            delete config.host;
+            delete config.port;
+        }
+
+        return config;
+    }
+
+    async connect(options) {
+        const connection = await this.load().createConnection(this.config(options));
+
+        // Set SQL mode for MySQL compatibility
+        await connection.execute('SET SQL_MODE=ANSI_QUOTES');
+
+        return connection;
+    }
+
+    async createPool(options, poolOptions) {
+        const pool = this.load().createPool({
+            ...this.config(options),
+            waitForConnections: true,
+            connectionLimit: poolOptions.size || 10,
+            maxIdle: poolOptions.maxIdle || poolOptions.size || 10,
+            idleTimeout: poolOptions.idleTimeout || 60000,
+            queueLimit: poolOptions.queueLimit || 0
+        });
+
+        // Every new pooled connection needs the same SQL mode as a single connection
+        pool.on('connection', connection => {
+            connection.query('SET SQL_MODE=ANSI_QUOTES', error => {
+                if (error) {
+                    console.error('Failed to set SQL mode:', error.message);
+                }
+            });
+        });
+
+        return pool;
+    }
+
+    // The prepared statement protocol behind execute() rejects SAVEPOINT statements
+    async command(connection, query) {
+        await connection.query(query);
+    }
+
+    // SET TRANSACTION without a scope only applies to the next transaction, so it goes first
+    async begin(connection, isolation = null, readOnly = false) {
+        const modes = this.transactionModes(isolation, readOnly);
+
+        if (modes) {
+            await this.command(connection, `SET TRANSACTION ${modes}`);
+        }
+
+        await connection.beginTransaction();
+    }
+
+    isRetryable(error) {
+        return error.code === 'ER_LOCK_DEADLOCK' || error.code === 'ER_LOCK_WAIT_TIMEOUT';
+    }
+
+    // A deadlock rolls back the whole transaction, its savepoints included
+    savepointLost(error) {
+        return error.code === 'ER_SP_DOES_NOT_EXIST';
+    }
+
+    // LOCK IN SHARE MODE also works on MySQL 5.7 and MariaDB, FOR SHARE is only needed for the wait options
+    lock(mode, wait) {
+        if (mode === 'SHARE' && !wait) {
+            return ' LOCK IN SHARE MODE';
+        }
+        return super.lock(mode, wait);
+    }
+
+    // The promise wrapper cannot stream, the callback connection underneath can
+    stream(connection, query, values) {
+        return connection.connection.query(query, values).stream();
+    }
+
+    quote(value) {
+        return this.load().escape(value, false, 'Z');
+    }
+
+    random() {
+        return 'RAND()';
+    }
+
+    orderField(column, values) {
+        return `FIELD(${column}, ${values.join(',')})`;
+    }
+
+    match(columns, keyword, mode) {
+        const modes = {
+            'natural': 'IN NATURAL LANGUAGE MODE',
+            'natural+query': 'IN NATURAL LANGUAGE MODE WITH QUERY EXPANSION',
+            'boolean': 'IN BOOLEAN MODE',
+            'query': 'WITH QUERY EXPANSION'
+        };
+
+        if (mode && !modes[mode]) {
+            throw new Error(`Incorrect MATCH mode "${mode}"`);
+        }
+
+        return `MATCH (${columns.join(', ')}) AGAINST (${keyword}${mode ? ` ${modes[mode]}` : ''})`;
+    }
+
+    excluded(column) {
+        return `VALUES(${column})`;
+    }
+
+    upsert(conflict, assignments) {
+        return ` ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    }
+
+    insertMode(query, mode) {
+        if (mode === 'ignore') {
+            return query.replace(/^INSERT INTO/, 'INSERT IGNORE INTO');
+        }
+        if (mode === 'replace') {
+            return query.replace(/^INSERT INTO/, 'REPLACE INTO');
+        }
+        return super.insertMode(query, mode);
+    }
+
+    lastInsertIdQuery() {
+        return 'SELECT LAST_INSERT_ID() as id';
+    }
+}
+
+class SqliteDriver extends Driver {
+    get name() {
+        return 'better-sqlite3';
+    }
+
+    // SQLITE_MAX_VARIABLE_NUMBER since SQLite 3.32
+    get maxParameters() {
+        return 32766;
+    }
+
+    // Open a SQLite database file, or an in-memory one with ":memory:"
+    async connect(options) {
+        const Database = require('better-sqlite3');
+        const file = options.database_file || options.database || options.database_name || ':memory:';
+
+        return new SqliteConnection(new Database(file, options.option));
+    }
+
+    // A second connection would not see an in-memory database, and a file is locked by the first writer
+    get sharedConnection() {
+        return true;
+    }
+
+    // SQLite locks the whole database file, there are no row locks
+    lock(mode, wait) {
+        throw new Error(`Row locking is not supported by ${this.name}`);
+    }
+
+    // SQLite transactions are always serializable, which satisfies every isolation level
+    async begin(connection, isolation = null, readOnly = false) {
+        this.transactionModes(isolation, false);
+
+        if (readOnly) {
+            throw new Error(`Read-only transactions are not supported by ${this.name}`);
+        }
+
+        await connection.beginTransaction();
+    }
+
+    isRetryable(error) {
+        return typeof error.code === 'string' && error.code.startsWith('SQLITE_BUSY');
+    }
+
+    // Errors like SQLITE_FULL can roll back the whole transaction
+    savepointLost(error) {
+        return /no such savepoint/i.test(error.message);
+    }
+
+    insertMode(query, mode) {
+        if (mode === 'ignore' || mode === 'replace') {
+            return query.replace(/^INSERT INTO/, `INSERT OR ${mode.toUpperCase()} INTO`);
+        }
+        return super.insertMode(query, mode);
+    }
+
+    lastInsertIdQuery() {
+        return 'SELECT last_insert_rowid() as id';
+    }
+
+    versionQuery() {
+        return 'SELECT sqlite_version() as version';
+    }
+}
+
+class PgsqlDriver extends Driver {
+    get name() {
+        return 'pg';
+    }
+
+    config(options) {
+        return {
+            host: options.socket || options.server || options.host || 'localhost',
+            port: options.port || 5432,
+            user: options.username || 'postgres',
+            password: options.password || '',
+            database: options.database_name || options.database,
+            ...options.option
+        };
+    }
+
+    async connect(options) {
+        const { Client } = require('pg');
+        const client = new Client(this.config(options));
+        await client.connect();
+
+        return new PgConnection(client);
+    }
+
+    async createPool(options, poolOptions) {
+        const { Pool } = require('pg');
+
+        return new PgPool(new Pool({
+            ...this.config(options),
+            max: poolOptions.size || 10,
+            idleTimeoutMillis: poolOptions.idleTimeout || 60000
+        }), poolOptions.queueLimit || 0);
+    }
+
+    placeholder(index) {
+        return `$${index}`;
+    }
+
+    regexp(column, value) {
+        return `${column} ~ ${value}`;
+    }
+
+    upsert(conflict, assignments) {
+        if (conflict.length === 0) {
+            throw new Error('PostgreSQL upsert requires the conflict column(s)');
+        }
+        return super.upsert(conflict, assignments);
+    }
+
+    // deadlock_detected, serialization_failure and lock_not_available (lock_timeout expired)
+    isRetryable(error) {
+        return ['40P01', '40001', '55P03'].includes(error.code);
+    }
+
+    // invalid_savepoint_specification
+    savepointLost(error) {
+        return error.code === '3B001';
+    }
+
+    // PostgreSQL has no LAST_INSERT_ID(), the id has to come back with the insert
+    returning(column) {
+        return ` RETURNING ${column}`;
+    }
+}
+
 class Medoo {
     constructor(options = {}) {
         this.connection = null;
+        this.connecting = null;
+        this.pool = null;
+        this.transaction = null;
+        this.hooks = null;
+        this.ctes = null;
+        this.acquireTimeout = 0;
+        this.insertId = null;
         this.type = 'mysql';
         this.prefix = options.prefix || '';
         this.logging = options.logging || false;
@@ -33,51 +690,107 @@ class Medoo {
             this.type = options.type.toLowerCase();
             if (this.type === 'mariadb') {
                 this.type = 'mysql';
+            } else if (this.type === 'postgres' || this.type === 'postgresql') {
+                this.type = 'pgsql';
             }
         }
 
-        // Initialize connection asynchronously
-        this.initConnection(options).catch(error => {
+        const DriverClass = Medoo.drivers[this.type];
+        if (!DriverClass) {
+            throw new Error(`Unsupported database type "${this.type}"`);
+        }
+        this.driver = new DriverClass();
+
+        // Shared with the handles: turns on a connection that transactions share with all other queries (see lockShared()),
+        // the transaction whose callback runs (see transactionOwner()) and the connections a stream() is reading
+        this.shared = { queue: Promise.resolve(), owner: new AsyncLocalStorage(), streams: new WeakSet() };
+
+        // Initialize connection asynchronously, queries started before it finishes wait for it
+        this.connecting = this.initConnection(options);
+        this.connecting.catch(error => {
             console.error('Database connection failed:', error.message);
         });
     }
 
+    // Add a backend for the type option, driver is a Driver subclass
+    static registerDriver(type, driver) {
+        Medoo.drivers[type.toLowerCase()] = driver;
+    }
+
     async initConnection(options) {
-        const config = {
-            host: options.server || options.host || 'localhost',
-            port: options.port || 3306,
-            user: options.username || 'root',
-            password: options.password || '',
-            database: options.database_name || options.database,
-            charset: options.charset || 'utf8mb4',
-            timezone: 'Z',
-            ...options.option
-        };
+        try {
+            if (options.pool) {
+                const poolOptions = options.pool === true ? {} : options.pool;
+                this.pool = await this.driver.createPool(options, poolOptions);
+
+                if (this.pool) {
+                    this.acquireTimeout = poolOptions.acquireTimeout || 0;
+                    this.connection = this.pool;
+                    return;
+                }
+            }
+
+            this.connection = await this.driver.connect(options);
+        } catch (error) {
+            throw new Error(`Database connection failed: ${error.message}`);
+        }
+    }
+
+    // Ensure connection is ready before executing queries, concurrent callers share one attempt
+    async ensureConnection() {
+        if (!this.connection) {
+            if (!this.connecting) {
+                this.connecting = this.initConnection(this.config);
+            }
+
+            try {
+                await this.connecting;
+            } catch (error) {
+                // Let the next query try again
+                this.connecting = null;
+                throw error;
+            }
+        }
+        return this.connection;
+    }
 
-        if (options.socket) {
-            config.socketPath = options.socket;
-            delete config.host;
-            delete config.port;
+    // Get a connection for a single query or transaction
+    async acquire() {
+        await this.ensureConnection();
+
+        if (!this.pool) {
+            return this.connection;
+        }
+
+        const pending = this.pool.getConnection();
+
+        if (!this.acquireTimeout) {
+            return await pending;
         }
 
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`Acquire connection timeout after ${this.acquireTimeout}ms`));
+            }, this.acquireTimeout);
+        });
+
         try {
-            this.connection = await mysql.createConnection(config);
-            
-            // Set SQL mode for MySQL compatibility
-            if (this.type === 'mysql') {
-                await this.connection.execute('SET SQL_MODE=ANSI_QUOTES');
-            }
+            return await Promise.race([pending, timeout]);
         } catch (error) {
-            throw new Error(`Database connection failed: ${error.message}`);
+            // Give the connection back once the pool finally hands it out
+            pending.then(connection => connection.release(), () => {});
+            throw error;
+        } finally {
+            clearTimeout(timer);
         }
     }
 
-    // Ensure connection is ready before executing queries
-    async ensureConnection() {
-        if (!this.connection) {
-            await this.initConnection(this.config);
+    // Return a connection checked out by acquire() to the pool
+    release(connection) {
+        if (this.pool && connection && connection !== this.pool) {
+            connection.release();
         }
-        return this.connection;
     }
 
     // Static method to create Raw queries
@@ -93,6 +806,94 @@ class Medoo {
         return object instanceof Raw;
     }
 
+    // Literal for a join relation, where a string value is a column: { 'orders.status': Medoo.value('paid') }
+    static value(value) {
+        return new Value(value);
+    }
+
+    value(value) {
+        return new Value(value);
+    }
+
+    isValue(object) {
+        return object instanceof Value;
+    }
+
+    // Window function column, used with an alias key like Raw: { 'rank [Int]': db.window('RANK', { ORDER: ... }) }.
+    // args are the function's columns, over takes PARTITION, ORDER and FRAME and can directly follow name.
+    static window(name, args = null, over = null) {
+        return args && typeof args === 'object' && !Array.isArray(args) && !(args instanceof Raw)
+            ? new WindowFunction(name, null, args)
+            : new WindowFunction(name, args, over);
+    }
+
+    window(name, args = null, over = null) {
+        return Medoo.window(name, args, over);
+    }
+
+    isWindow(object) {
+        return object instanceof WindowFunction;
+    }
+
+    buildWindow(windowFunction, map) {
+        const { name, args, over } = windowFunction;
+
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+            throw new Error(`Incorrect window function name "${name}"`);
+        }
+
+        const values = (args === null ? [] : Array.isArray(args) ? args : [args]).map(arg => {
+            if (this.isRaw(arg)) {
+                return this.buildRaw(arg, map);
+            }
+            if (Number.isInteger(arg)) {
+                return String(arg);
+            }
+            return arg === '*' ? '*' : this.columnQuote(arg);
+        });
+
+        const clauses = [];
+
+        if (over.PARTITION) {
+            const partition = Array.isArray(over.PARTITION) ? over.PARTITION : [over.PARTITION];
+            clauses.push(`PARTITION BY ${partition.map(column => this.columnQuote(column)).join(',')}`);
+        }
+
+        if (over.ORDER) {
+            clauses.push(this.whereClause({ ORDER: over.ORDER }, map).trim());
+        }
+
+        if (over.FRAME) {
+            if (this.isRaw(over.FRAME)) {
+                clauses.push(this.buildRaw(over.FRAME, map));
+            } else if (/^(ROWS|RANGE|GROUPS)\s+[a-zA-Z0-9\s]+$/i.test(over.FRAME)) {
+                clauses.push(over.FRAME);
+            } else {
+                throw new Error(`Incorrect window frame "${over.FRAME}"`);
+            }
+        }
+
+        return `${name.toUpperCase()}(${values.join(', ')}) OVER (${clauses.join(' ')})`;
+    }
+
+    // Sub-select for WHERE values and EXISTS, with select() arguments
+    static subquery(table, join, columns = null, where = null) {
+        return new Subquery(table, join, columns, where);
+    }
+
+    subquery(table, join, columns = null, where = null) {
+        return new Subquery(table, join, columns, where);
+    }
+
+    isSubquery(object) {
+        return object instanceof Subquery;
+    }
+
+    // Parenthesized SELECT of a subquery, its placeholders go into the outer map
+    buildSubquery(subquery, map) {
+        return `(${this.selectContext(subquery.table, map, subquery.join, subquery.columns, subquery.where)})`;
+    }
+
     // Generate unique parameter keys
     mapKey() {
         return `:medoo_${this.guid++}_param`;
@@ -103,7 +904,7 @@ class Medoo {
         if (!/^[a-zA-Z0-9_]+$/i.test(table)) {
             throw new Error(`Incorrect table name "${table}"`);
         }
-        return `"${this.prefix}${table}"`;
+        return this.driver.quoteIdentifier(this.prefix + table);
     }
 
     // Quote column names
@@ -113,10 +914,11 @@ class Medoo {
         }
 
         if (string.includes('.')) {
-            return `"${this.prefix}${string.replace('.', '"."')}"`;
+            const [table, column] = string.split('.');
+            return `${this.driver.quoteIdentifier(this.prefix + table)}.${this.driver.quoteIdentifier(column)}`;
         }
 
-        return `"${string}"`;
+        return this.driver.quoteIdentifier(string);
     }
 
     // Type mapping for parameters
@@ -138,19 +940,19 @@ class Medoo {
 
         let query = raw.value;
         
-        // Replace table/column references
+        // Replace table/column references, quoted strings are left as they are
         query = query.replace(
-            /(([`']).*?)?((FROM|TABLE|INTO|UPDATE|JOIN)\s*)?\<(([a-zA-Z0-9_]+)(\.[a-zA-Z0-9_]+)?)\>(.*?\2)?/gi,
-            (match, p1, p2, p3, p4, p5) => {
-                if (p2 && p1.includes(p2)) {
+            /(['`])(?:(?!\1).|\1\1)*\1|(?:(FROM|TABLE|INTO|UPDATE|JOIN)\s*)?\<([a-zA-Z0-9_]+(?:\.[a-zA-Z0-9_]+)?)\>/gi,
+            (match, quote, keyword, name) => {
+                if (quote) {
                     return match;
                 }
 
-                if (p4) {
-                    return p1 + p4 + ' ' + this.tableQuote(p5);
+                if (keyword) {
+                    return `${keyword} ${this.tableQuote(name)}`;
                 }
 
-                return p1 + this.columnQuote(p5);
+                return this.columnQuote(name);
             }
         );
 
@@ -169,7 +971,7 @@ class Medoo {
             if (typeof value === 'number') {
                 stack.push(value);
             } else {
-                stack.push(this.connection.escape(value));
+                stack.push(this.driver.quote(value));
             }
         }
         return stack.join(',');
@@ -195,8 +997,8 @@ class Medoo {
                 stack.push(this.columnPush(value, map, false, isJoin));
             } else if (Array.isArray(value)) {
                 stack.push(this.columnPush(value, map, false, isJoin));
-            } else if (!isIntKey && this.isRaw(value)) {
-                const raw = this.buildRaw(value, map);
+            } else if (!isIntKey && (this.isRaw(value) || this.isWindow(value))) {
+                const raw = this.isRaw(value) ? this.buildRaw(value, map) : this.buildWindow(value, map);
                 const match = key.match(/(?<column>[a-zA-Z0-9_\.]+)(\s*\[(?<type>(String|Bool|Int|Number))\])?/i);
                 stack.push(`${raw} AS ${this.columnQuote(match.groups.column)}`);
             } else if (isIntKey && typeof value === 'string') {
@@ -208,11 +1010,6 @@ class Medoo {
 
                 if (match.groups.alias) {
                     stack.push(`${this.columnQuote(match.groups.column)} AS ${this.columnQuote(match.groups.alias)}`);
-                    columns[key] = match.groups.alias;
-
-                    if (match.groups.type) {
-                        columns[key] += ` [${match.groups.type}]`;
-                    }
                 } else {
                     stack.push(this.columnQuote(match.groups.column));
                 }
@@ -225,6 +1022,7 @@ class Medoo {
     // Execute query with logging
     async exec(query, parameters = {}) {
         this.lastError = null;
+        query = this.withQuery(query, parameters);
 
         if (this.debugMode) {
             console.log(this.generate(query, parameters));
@@ -232,44 +1030,124 @@ class Medoo {
             return false;
         }
 
-        // Ensure connection is ready
-        await this.ensureConnection();
+        this.logQuery(query, parameters);
 
-        if (this.logging) {
-            this.logs.push([query, parameters]);
-        } else {
-            this.logs = [[query, parameters]];
+        // A query from inside a transaction callback runs in that transaction, whichever instance it goes through
+        const owner = this.transaction ? null : this.transactionOwner();
+        const scope = owner || this;
+        let connection = scope.transaction;
+        let unlock = null;
+
+        // A transaction on the shared connection runs alone
+        if (!connection && this.driver.sharedConnection) {
+            unlock = await this.lockShared();
         }
 
         try {
-            // Convert named parameters to positional parameters for mysql2
-            let finalQuery = query;
-            const values = [];
-            
-            // Replace named parameters with ? and collect values in order
-            for (const [key, value] of Object.entries(parameters)) {
-                finalQuery = finalQuery.replace(key, '?');
-                values.push(value);
+            if (!connection) {
+                connection = await this.acquire();
+            } else if (this.shared.streams.has(connection)) {
+                // The connection only answers after the stream, waiting for it from the loop would never return
+                throw new Error('Cannot run a query in the transaction while a stream() of it is still reading rows');
+            }
+
+            const { query: finalQuery, values } = this.prepare(query, parameters);
+            const [rows] = await connection.execute(finalQuery, values);
+
+            // A pool serves concurrent requests, an instance-wide id would be another request's
+            if (rows.insertId && (!this.pool || scope.transaction)) {
+                scope.insertId = rows.insertId;
             }
 
-            const [rows] = await this.connection.execute(finalQuery, values);
             return { rows, query: finalQuery, parameters: values };
         } catch (error) {
             this.lastError = error;
             throw error;
+        } finally {
+            if (connection !== scope.transaction) {
+                this.release(connection);
+            }
+
+            if (unlock) {
+                unlock();
+            }
         }
     }
 
-    // Generate final query for debugging
-    generate(query, parameters) {
-        let finalQuery = query;
-        
-        for (const [key, value] of Object.entries(parameters)) {
-            const replacement = typeof value === 'string' ? `'${value.replace(/'/g, "''")}'` : value;
-            finalQuery = finalQuery.replace(key, replacement);
+    // Record a query for last() and log()
+    logQuery(query, parameters) {
+        if (this.logging) {
+            this.logs.push([query, parameters]);
+        } else {
+            this.logs = [[query, parameters]];
+        }
+    }
+
+    // Convert named parameters to the driver's positional placeholders
+    prepare(query, parameters) {
+        const values = [];
+
+        const finalQuery = this.replacePlaceholders(query, parameters, value => {
+            values.push(value);
+            return this.driver.placeholder(values.length);
+        });
+
+        return { query: finalQuery, values };
+    }
+
+    // Replace every named parameter in the query, in the order they appear
+    replacePlaceholders(query, parameters, replace) {
+        const keys = Object.keys(parameters)
+            .sort((a, b) => b.length - a.length)
+            .map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        if (keys.length === 0) {
+            return query;
+        }
+
+        return query.replace(new RegExp(`(${keys.join('|')})(?![a-zA-Z0-9_])`, 'g'), key => replace(parameters[key]));
+    }
+
+    // QUERY - Execute raw SQL, <table> and <column> are quoted, map holds :name values or ? values in order
+    async query(statement, map = {}) {
+        const parameters = {};
+        let raw = statement;
+
+        if (!this.isRaw(raw)) {
+            let query = String(statement);
+
+            if (Array.isArray(map)) {
+                let index = 0;
+
+                // Turn ? placeholders into named ones, leaving quoted strings alone
+                query = query.replace(/'(?:[^']|'')*'|\?/g, match => {
+                    if (match !== '?') {
+                        return match;
+                    }
+
+                    const mapKey = this.mapKey();
+                    parameters[mapKey] = map[index++];
+                    return mapKey;
+                });
+            } else {
+                Object.assign(parameters, map);
+            }
+
+            raw = this.raw(query);
+        } else {
+            Object.assign(parameters, map);
         }
 
-        return finalQuery;
+        const result = await this.exec(this.buildRaw(raw, parameters), parameters);
+
+        return result ? result.rows : false;
+    }
+
+    // Generate final query for debugging
+    generate(query, parameters) {
+        return this.replacePlaceholders(query, parameters, value => {
+            return typeof value === 'string' ? `'${value.replace(/'/g, "''")}'` : value;
+        });
     }
 
     // Inner conjunction for complex WHERE conditions
@@ -307,6 +1185,18 @@ class Medoo {
                 continue;
             }
 
+            // EXISTS / NOT EXISTS subquery, "#comment" suffixes keep several of them apart
+            const exists = key.match(/^(NOT\s+)?EXISTS(\s+#.*)?$/);
+
+            if (exists) {
+                if (!this.isSubquery(value)) {
+                    throw new Error(`${key} requires a subquery`);
+                }
+
+                stack.push(`${exists[1] ? 'NOT ' : ''}EXISTS ${this.buildSubquery(value, map)}`);
+                continue;
+            }
+
             const mapKey = this.mapKey();
 
             // Handle column comparisons like "column1[>=]column2"
@@ -314,7 +1204,7 @@ class Medoo {
                 const match = value.match(/([a-zA-Z0-9_\.]+)\[(?<operator>\>\=?|\<\=?|\!?\=)\]([a-zA-Z0-9_\.]+)/i);
                 stack.push(`${this.columnQuote(match[1])} ${match.groups.operator} ${this.columnQuote(match[3])}`);
             } else {
-                const match = key.match(/([a-zA-Z0-9_\.\(\)\*]+)(\[(?<operator>\>\=?|\<\=?|\!|\<\>|\>\<|\!?~|REGEXP)\])?/i);
+                const match = key.match(/([a-zA-Z0-9_\.\(\)\*]+)(\[(?<operator>\>\=?|\<\=?|\=|\!|\<\>|\>\<|\!?~|REGEXP)\])?/i);
                 
                 // Check if it's a SQL function (contains parentheses)
                 let column;
@@ -329,7 +1219,7 @@ class Medoo {
                 if (match.groups && match.groups.operator) {
                     const operator = match.groups.operator;
 
-                    if (['>', '>=', '<', '<='].includes(operator)) {
+                    if (['>', '>=', '<', '<=', '='].includes(operator)) {
                         let condition = `${column} ${operator} `;
 
                         if (typeof value === 'number') {
@@ -337,6 +1227,8 @@ class Medoo {
                             map[mapKey] = value;
                         } else if (this.isRaw(value)) {
                             condition += this.buildRaw(value, map);
+                        } else if (this.isSubquery(value)) {
+                            condition += this.buildSubquery(value, map);
                         } else {
                             condition += mapKey;
                             map[mapKey] = value;
@@ -358,6 +1250,8 @@ class Medoo {
                                     stack.push(`${column} NOT IN (${placeholders.join(', ')})`);
                                 } else if (this.isRaw(value)) {
                                     stack.push(`${column} != ${this.buildRaw(value, map)}`);
+                                } else if (this.isSubquery(value)) {
+                                    stack.push(`${column} NOT IN ${this.buildSubquery(value, map)}`);
                                 }
                                 break;
                             default:
@@ -402,7 +1296,7 @@ class Medoo {
                             map[`${mapKey}b`] = value[1];
                         }
                     } else if (operator === 'REGEXP') {
-                        stack.push(`${column} REGEXP ${mapKey}`);
+                        stack.push(this.driver.regexp(column, mapKey));
                         map[mapKey] = value;
                     }
                 } else {
@@ -421,6 +1315,8 @@ class Medoo {
                                 stack.push(`${column} IN (${placeholders.join(', ')})`);
                             } else if (this.isRaw(value)) {
                                 stack.push(`${column} = ${this.buildRaw(value, map)}`);
+                            } else if (this.isSubquery(value)) {
+                                stack.push(`${column} IN ${this.buildSubquery(value, map)}`);
                             }
                             break;
                         default:
@@ -444,7 +1340,7 @@ class Medoo {
             const conditions = { ...where };
 
             // Remove special keys from conditions
-            ['GROUP', 'ORDER', 'HAVING', 'LIMIT', 'LIKE', 'MATCH'].forEach(key => {
+            ['GROUP', 'ORDER', 'HAVING', 'LIMIT', 'LOCK', 'DISTINCT', 'LIKE', 'MATCH'].forEach(key => {
                 delete conditions[key];
             });
 
@@ -452,6 +1348,11 @@ class Medoo {
                 whereClause = ` WHERE ${this.dataImplode(conditions, map, ' AND')}`;
             }
 
+            // MATCH full-text search
+            if (where.MATCH) {
+                whereClause += `${whereClause ? ' AND' : ' WHERE'} ${this.matchClause(where.MATCH, map)}`;
+            }
+
             // GROUP BY
             if (where.GROUP) {
                 if (Array.isArray(where.GROUP)) {
@@ -481,8 +1382,10 @@ class Medoo {
                     // Handle object case: { column: 'direction', ... }
                     const orderStack = [];
                     for (const [column, direction] of Object.entries(where.ORDER)) {
-                        if (Array.isArray(direction)) {
-                            orderStack.push(`FIELD(${this.columnQuote(column)}, ${this.arrayQuote(direction)})`);
+                        if (column === 'MATCH') {
+                            orderStack.push(this.matchOrder(direction, where.MATCH, map));
+                        } else if (Array.isArray(direction)) {
+                            orderStack.push(this.orderField(column, direction));
                         } else if (direction === 'ASC' || direction === 'DESC') {
                             orderStack.push(`${this.columnQuote(column)} ${direction}`);
                         } else if (/^\d+$/.test(column)) {
@@ -508,11 +1411,16 @@ class Medoo {
             // LIMIT
             if (where.LIMIT) {
                 if (typeof where.LIMIT === 'number') {
-                    whereClause += ` LIMIT ${where.LIMIT}`;
+                    whereClause += this.driver.limit(where.LIMIT, null, Boolean(where.ORDER));
                 } else if (Array.isArray(where.LIMIT) && where.LIMIT.length === 2) {
-                    whereClause += ` LIMIT ${where.LIMIT[1]} OFFSET ${where.LIMIT[0]}`;
+                    whereClause += this.driver.limit(where.LIMIT[1], where.LIMIT[0], Boolean(where.ORDER));
                 }
             }
+
+            // Row locks: true or 'UPDATE', 'SHARE', optionally followed by NOWAIT or SKIP LOCKED
+            if (where.LOCK) {
+                whereClause += this.lockClause(where.LOCK);
+            }
         } else if (this.isRaw(where)) {
             whereClause += ` ${this.buildRaw(where, map)}`;
         }
@@ -520,6 +1428,54 @@ class Medoo {
         return whereClause;
     }
 
+    lockClause(lock) {
+        const match = (lock === true ? 'UPDATE' : String(lock))
+            .toUpperCase()
+            .replace(/\s+/g, ' ')
+            .trim()
+            .match(/^(?:FOR )?(UPDATE|SHARE)(?: (NOWAIT|SKIP LOCKED))?$/);
+
+        if (!match) {
+            throw new Error(`Incorrect LOCK "${lock}", expected UPDATE or SHARE with optional NOWAIT or SKIP LOCKED`);
+        }
+
+        return this.driver.lock(match[1], match[2] || null);
+    }
+
+    // Full-text search expression for { columns, keyword, mode }
+    matchClause(match, map) {
+        if (typeof match !== 'object' || !Array.isArray(match.columns) || match.keyword === undefined) {
+            throw new Error('MATCH requires columns and keyword');
+        }
+
+        const mapKey = this.mapKey();
+        map[mapKey] = match.keyword;
+
+        return this.driver.match(match.columns.map(column => this.columnQuote(column)), mapKey, match.mode);
+    }
+
+    // Order by relevance, either 'DESC'/'ASC' to rank by the WHERE MATCH or a MATCH object of its own
+    matchOrder(order, whereMatch, map) {
+        let match = whereMatch;
+        let direction = order;
+
+        if (typeof order === 'object' && order !== null) {
+            match = order;
+            direction = order.direction || 'DESC';
+        }
+
+        if (direction !== 'ASC' && direction !== 'DESC') {
+            throw new Error(`Incorrect MATCH order direction "${direction}"`);
+        }
+
+        return `${this.matchClause(match, map)} ${direction}`;
+    }
+
+    // Order by a list of values
+    orderField(column, values) {
+        return this.driver.orderField(this.columnQuote(column), values.map(value => this.arrayQuote([value])));
+    }
+
     // Enable debug mode
     debug() {
         this.debugMode = true;
@@ -545,10 +1501,15 @@ class Medoo {
     // Build SELECT context for complex queries
     selectContext(table, map, join, columns = null, where = null, columnFn = null) {
         // Parse table with alias
-        const tableMatch = table.match(/(?<table>[a-zA-Z0-9_]+)\s*\((?<alias>[a-zA-Z0-9_]+)\)/i);
+        const tableMatch = this.isSubquery(table) ? null : table.match(/(?<table>[a-zA-Z0-9_]+)\s*\((?<alias>[a-zA-Z0-9_]+)\)/i);
         let tableQuery;
 
-        if (tableMatch && tableMatch.groups) {
+        if (this.isSubquery(table)) {
+            if (!table.alias) {
+                throw new Error('A subquery in FROM requires an alias, name it with as()');
+            }
+            tableQuery = `${this.buildSubquery(table, map)} AS ${this.tableQuote(table.alias)}`;
+        } else if (tableMatch && tableMatch.groups) {
             const quotedTable = this.tableQuote(tableMatch.groups.table);
             tableQuery = `${quotedTable} AS ${this.tableQuote(tableMatch.groups.alias)}`;
         } else {
@@ -563,7 +1524,7 @@ class Medoo {
             joinKeys = Object.keys(join);
             if (joinKeys.length > 0 && joinKeys[0].startsWith('[')) {
                 isJoin = true;
-                tableQuery += ' ' + this.buildJoin(table, join);
+                tableQuery += ' ' + this.buildJoin(table, join, map);
             }
         }
         
@@ -597,63 +1558,106 @@ class Medoo {
                     columns = '*';
                     where = join;
                 }
-                column = `${columnFn}(${this.columnPush(columns, map, true)})`;
+
+                if (this.isDistinct(where)) {
+                    if (columns === '*') {
+                        throw new Error(`${columnFn}(DISTINCT) requires the columns to compare`);
+                    }
+
+                    // COUNT(DISTINCT a, b) is MySQL only, counting the distinct rows works everywhere
+                    if (typeof columns === 'object' && Object.keys(columns).length > 1) {
+                        if (columnFn !== 'COUNT') {
+                            throw new Error(`${columnFn}(DISTINCT) takes a single column`);
+                        }
+
+                        const distinct = `SELECT DISTINCT ${this.columnPush(columns, map, true)} FROM ${tableQuery}${this.whereClause(where, map)}`;
+                        return `SELECT COUNT(*) FROM (${distinct}) AS ${this.tableQuote('distinct_count')}`;
+                    }
+
+                    column = `${columnFn}(DISTINCT ${this.columnPush(columns, map, true)})`;
+                } else {
+                    column = `${columnFn}(${this.columnPush(columns, map, true)})`;
+                }
             }
         } else {
             column = this.columnPush(columns, map, true, isJoin);
+
+            if (this.isDistinct(where)) {
+                column = `DISTINCT ${column}`;
+            }
         }
 
         return `SELECT ${column} FROM ${tableQuery}${this.whereClause(where, map)}`;
     }
 
+    // DISTINCT: true in where removes duplicate rows, or duplicate values inside an aggregate
+    isDistinct(where) {
+        return Boolean(where && typeof where === 'object' && !this.isRaw(where) && where.DISTINCT);
+    }
+
     // Build JOIN clauses
-    buildJoin(table, join) {
+    // A joined table can also be a derived table, written as [subquery, relation] and named by the key
+    buildJoin(table, join, map) {
         const tableJoin = [];
         const joinArray = {
             '>': 'LEFT',
             '<': 'RIGHT',
             '<>': 'FULL',
-            '><': 'INNER'
+            '><': 'INNER',
+            'CROSS': 'CROSS',
+            'NATURAL': 'NATURAL'
         };
 
-        for (const [subTable, relation] of Object.entries(join)) {
-            const match = subTable.match(/(\[(?<join>\<\>?|\>\<?)\])?(?<table>[a-zA-Z0-9_]+)\s?(\((?<alias>[a-zA-Z0-9_]+)\))?/);
+        // Tables the join conditions can refer to so far, the main table first
+        const scope = [];
+
+        if (this.isSubquery(table)) {
+            scope.push({ table: table.alias, alias: null });
+        } else {
+            const mainMatch = table.match(/(?<table>[a-zA-Z0-9_]+)\s*(\((?<alias>[a-zA-Z0-9_]+)\))?/i);
+            scope.push({ table: mainMatch.groups.table, alias: mainMatch.groups.alias || null });
+        }
+
+        for (const [subTable, joinValue] of Object.entries(join)) {
+            const match = subTable.match(/(\[(?<join>\<\>?|\>\<?|CROSS|NATURAL)\])?(?<table>[a-zA-Z0-9_]+)\s?(\((?<alias>[a-zA-Z0-9_]+)\))?/);
+            const derived = Array.isArray(joinValue) && this.isSubquery(joinValue[0]) ? joinValue[0] : null;
+            const relation = derived ? joinValue[1] : joinValue;
 
             if (match.groups.join && match.groups.table) {
-                let relationStr = relation;
+                const name = match.groups.alias || match.groups.table;
 
-                if (typeof relation === 'string') {
-                    relationStr = `USING ("${relation}")`;
-                } else if (Array.isArray(relation)) {
-                    if (relation[0] && typeof relation[0] === 'string') {
-                        relationStr = `USING ("${relation.join('", "')}")`;
-                    } else {
-                        const joins = [];
-                        for (const [key, value] of Object.entries(relation)) {
-                            const leftSide = key.includes('.') 
-                                ? this.columnQuote(key)
-                                : `${this.tableQuote(table)}."${key}"`;
-                            const rightSide = `${this.tableQuote(match.groups.alias || match.groups.table)}."${value}"`;
-                            joins.push(`${leftSide} = ${rightSide}`);
-                        }
-                        relationStr = `ON ${joins.join(' AND ')}`;
+                // The same table joined twice, a self-join included, needs an alias to tell them apart
+                if (scope.some(entry => (entry.alias || entry.table) === name)) {
+                    throw new Error(`Table "${name}" is already in the query, give it an alias to join it again`);
+                }
+
+                scope.push(derived ? { table: name, alias: null } : { table: match.groups.table, alias: match.groups.alias || null });
+
+                let relationStr = '';
+
+                if (match.groups.join === 'CROSS' || match.groups.join === 'NATURAL') {
+                    if (relation !== null && relation !== undefined) {
+                        throw new Error(`${joinArray[match.groups.join]} JOIN "${name}" does not take a join condition`);
                     }
+                } else if (typeof relation === 'string') {
+                    relationStr = ` USING (${this.columnQuote(relation)})`;
+                } else if (Array.isArray(relation) && relation[0] && typeof relation[0] === 'string') {
+                    relationStr = ` USING (${relation.map(column => this.columnQuote(column)).join(', ')})`;
+                } else if (this.isRaw(relation)) {
+                    relationStr = ` ON ${this.buildRaw(relation, map)}`;
                 } else if (typeof relation === 'object' && relation !== null) {
-                    // Handle object case: { column1: 'column2', ... }
-                    const joins = [];
-                    for (const [key, value] of Object.entries(relation)) {
-                        const leftSide = key.includes('.') 
-                            ? this.columnQuote(key)
-                            : `${this.tableQuote(table)}."${key}"`;
-                        const rightSide = `${this.tableQuote(match.groups.alias || match.groups.table)}."${value}"`;
-                        joins.push(`${leftSide} = ${rightSide}`);
-                    }
-                    relationStr = `ON ${joins.join(' AND ')}`;
+                    relationStr = ` ON ${this.joinCondition(relation, scope, map)}`;
                 }
 
-                let tableName = this.tableQuote(match.groups.table) + ' ';
-                if (match.groups.alias) {
-                    tableName += `AS ${this.tableQuote(match.groups.alias)} `;
+                let tableName;
+
+                if (derived) {
+                    tableName = `${this.buildSubquery(derived, map)} AS ${this.tableQuote(name)}`;
+                } else {
+                    tableName = this.tableQuote(match.groups.table);
+                    if (match.groups.alias) {
+                        tableName += ` AS ${this.tableQuote(match.groups.alias)}`;
+                    }
                 }
 
                 tableJoin.push(`${joinArray[match.groups.join]} JOIN ${tableName}${relationStr}`);
@@ -663,27 +1667,101 @@ class Medoo {
         return tableJoin.join(' ');
     }
 
+    // Build the ON condition of a join relation, AND and OR groups nest with the same rules.
+    // A string value is a column of the joined table, literals are wrapped with value() or given as other types.
+    joinCondition(relation, scope, map, conjunctor = ' AND') {
+        const conditions = [];
+        const mainTable = scope[0].alias || scope[0].table;
+        const joinTable = scope[scope.length - 1].alias || scope[scope.length - 1].table;
+
+        for (const [key, value] of Object.entries(relation)) {
+            if (/^\d+$/.test(key) && this.isRaw(value)) {
+                conditions.push(this.buildRaw(value, map));
+                continue;
+            }
+
+            const group = key.match(/^(AND|OR)(\s+#.*)?$/);
+
+            if (group && typeof value === 'object' && value !== null) {
+                conditions.push(`(${this.joinCondition(value, scope, map, ` ${group[1]}`)})`);
+                continue;
+            }
+
+            const match = key.match(/^(?<column>[a-zA-Z0-9_]+(\.[a-zA-Z0-9_]+)?)(\[(?<operator>\>\=?|\<\=?|\=|\!|\<\>|\>\<|\!?~)\])?$/);
+
+            if (!match) {
+                throw new Error(`Invalid join condition "${key}"`);
+            }
+
+            // Columns without a table on the left side belong to the main table
+            const column = this.joinColumn(match.groups.column.includes('.') ? match.groups.column : `${mainTable}.${match.groups.column}`, scope);
+            const operator = match.groups.operator;
+
+            if (typeof value !== 'string') {
+                const literal = this.isValue(value) ? value.value : value;
+                conditions.push(this.dataImplode({ [`${column}${operator ? `[${operator}]` : ''}`]: literal }, map, ' AND'));
+                continue;
+            }
+
+            if (['<>', '><', '~', '!~'].includes(operator)) {
+                throw new Error(`Join condition "${key}" requires a value, not a column`);
+            }
+
+            const rightSide = this.columnQuote(this.joinColumn(value.includes('.') ? value : `${joinTable}.${value}`, scope));
+
+            conditions.push(`${this.columnQuote(column)} ${operator === '!' ? '!=' : operator || '='} ${rightSide}`);
+        }
+
+        return conditions.join(`${conjunctor} `);
+    }
+
+    // Resolve the table of a join column against the tables joined so far
+    // A table joined under an alias can also be named by its table name, as long as that is not ambiguous
+    joinColumn(column, scope) {
+        const [table, name] = column.split('.');
+
+        if (scope.some(entry => (entry.alias || entry.table) === table)) {
+            return column;
+        }
+
+        const aliased = scope.filter(entry => entry.alias && entry.table === table);
+
+        if (aliased.length > 1) {
+            throw new Error(`Table "${table}" is joined more than once, use one of its aliases in "${column}"`);
+        }
+
+        if (aliased.length === 0) {
+            throw new Error(`Join condition "${column}" refers to table "${table}" before it is joined`);
+        }
+
+        return `${aliased[0].alias}.${name}`;
+    }
+
     // Column mapping for data processing
     columnMap(columns, stack, root = true) {
         if (columns === '*' || !columns) {
             return stack;
         }
 
-        if (typeof columns !== 'object' || Array.isArray(columns)) {
+        if (typeof columns !== 'object') {
             return stack;
         }
 
         for (const [key, value] of Object.entries(columns)) {
             const isIntKey = /^\d+$/.test(key);
 
-            if (isIntKey) {
+            if (isIntKey && typeof value === 'string') {
                 const match = value.match(/([a-zA-Z0-9_]+\.)?(?<column>[a-zA-Z0-9_]+)(?:\s*\((?<alias>[a-zA-Z0-9_]+)\))?(?:\s*\[(?<type>(?:String|Bool|Int|Number|Object|JSON))\])?/i);
 
                 const columnKey = match.groups.alias || match.groups.column;
                 const type = match.groups.type || 'String';
 
                 stack[value] = [columnKey, type];
-            } else if (this.isRaw(value)) {
+            } else if (this.isRaw(value) || this.isWindow(value)) {
+                if (isIntKey) {
+                    continue;
+                }
+
                 const match = key.match(/([a-zA-Z0-9_]+\.)?(?<column>[a-zA-Z0-9_]+)(\s*\[(?<type>(String|Bool|Int|Number))\])?/i);
                 const columnKey = match.groups.column;
                 const type = match.groups.type || 'String';
@@ -705,7 +1783,7 @@ class Medoo {
         if (root) {
             // Handle special case when columns is '*' or array
             if (columns === '*' || Array.isArray(columns) || typeof columns !== 'object' || columns === null) {
-                const currentStack = [];
+                const currentStack = {};
                 this.dataMap(data, columns, columnMap, currentStack, false, result);
                 result.push(currentStack);
                 return;
@@ -717,13 +1795,13 @@ class Medoo {
                 const indexKey = columnsKey[0];
                 const dataKey = indexKey.replace(/^[a-zA-Z0-9_]+\./i, '');
 
-                const currentStack = [];
+                const currentStack = {};
                 this.dataMap(data, columns[indexKey], columnMap, currentStack, false, result);
 
                 const index = data[dataKey];
                 result[index] = currentStack;
             } else {
-                const currentStack = [];
+                const currentStack = {};
                 this.dataMap(data, columns, columnMap, currentStack, false, result);
                 result.push(currentStack);
             }
@@ -731,14 +1809,14 @@ class Medoo {
         }
 
         // Handle non-root data mapping
-        if (columns === '*' || Array.isArray(columns) || typeof columns !== 'object' || columns === null) {
+        if (columns === '*' || typeof columns !== 'object' || columns === null) {
             // For simple column selection, copy all data
             Object.assign(stack, data);
             return;
         }
 
         for (const [key, value] of Object.entries(columns)) {
-            const isRaw = this.isRaw(value);
+            const isRaw = this.isRaw(value) || this.isWindow(value);
             const isIntKey = /^\d+$/.test(key);
 
             if (isIntKey || isRaw) {
@@ -753,138 +1831,188 @@ class Medoo {
                         continue;
                     }
 
-                    if (item === null) {
-                        stack[columnKey] = null;
-                        continue;
-                    }
-
-                    switch (map[1]) {
-                        case 'Number':
-                            stack[columnKey] = parseFloat(item);
-                            break;
-                        case 'Int':
-                            stack[columnKey] = parseInt(item);
-                            break;
-                        case 'Bool':
-                            stack[columnKey] = Boolean(item);
-                            break;
-                        case 'Object':
-                            try {
-                                stack[columnKey] = JSON.parse(item);
-                            } catch {
-                                stack[columnKey] = item;
-                            }
-                            break;
-                        case 'JSON':
-                            try {
-                                stack[columnKey] = JSON.parse(item);
-                            } catch {
-                                stack[columnKey] = item;
-                            }
-                            break;
-                        case 'String':
-                        default:
-                            stack[columnKey] = item;
-                            break;
-                    }
+                    stack[columnKey] = this.castValue(item, map[1]);
                 } else {
                     stack[columnKey] = item;
                 }
             } else {
-                const currentStack = [];
+                const currentStack = {};
                 this.dataMap(data, value, columnMap, currentStack, false, result);
                 stack[key] = currentStack;
             }
         }
     }
 
+    // Cast a column value to its [Type]
+    castValue(item, type) {
+        if (item === null || item === undefined) {
+            return null;
+        }
+
+        switch (type) {
+            case 'Number':
+                return parseFloat(item);
+            case 'Int':
+                return parseInt(item);
+            case 'Bool':
+                return Boolean(item);
+            case 'Object':
+            case 'JSON':
+                try {
+                    return JSON.parse(item);
+                } catch {
+                    return item;
+                }
+            case 'String':
+            default:
+                return item;
+        }
+    }
+
+    // Whether the join argument of select() style methods is a join map rather than the columns
+    isJoin(join) {
+        if (!join || typeof join !== 'object' || Array.isArray(join) || this.isRaw(join)) {
+            return false;
+        }
+
+        const keys = Object.keys(join);
+        return keys.length > 0 && keys[0].startsWith('[');
+    }
+
+    // Function casting one raw row to the shape and column types of a select spec, as get() returns it
+    rowMapper(columns) {
+        if (typeof columns === 'string' && columns !== '*') {
+            const [columnKey, type] = this.columnMap([columns], {}, true)[columns];
+            return data => this.castValue(data[columnKey], type);
+        }
+
+        if (!columns || typeof columns !== 'object' || this.isRaw(columns)) {
+            return data => data;
+        }
+
+        const columnMap = this.columnMap(columns, {}, true);
+
+        return data => {
+            const stack = {};
+            this.dataMap(data, columns, columnMap, stack, false, null);
+            return stack;
+        };
+    }
+
     // ============= CRUD METHODS =============
 
     // SELECT - Query multiple records
     async select(table, join, columns = null, where = null) {
         const map = {};
-        const result = [];
-        const columnMap = {};
-
-        const column = where === null ? join : columns;
-        const isSingle = (typeof column === 'string' && column !== '*');
+        const column = this.isJoin(join) ? columns : join;
 
         const query = this.selectContext(table, map, join, columns, where);
         const { rows } = await this.exec(query, map);
 
-        // Handle '*' columns case - return raw rows
-        if (columns === '*' || (where === null && join === '*')) {
-            return rows;
+        return this.mapRows(rows, column);
+    }
+
+    // Map the rows of a select by its column spec
+    mapRows(rows, column) {
+        // Object specs can index the result by a column, which needs the whole result set
+        if (column && typeof column === 'object' && !Array.isArray(column) && !this.isRaw(column)) {
+            const result = [];
+            const columnMap = this.columnMap(column, {}, true);
+
+            for (const data of rows) {
+                this.dataMap(data, column, columnMap, {}, true, result);
+            }
+
+            return result;
+        }
+
+        return rows.map(this.rowMapper(column));
+    }
+
+    // STREAM - Query multiple records one at a time, for result sets too large to hold in memory.
+    // Rows are mapped like get() maps its record and read from the database as the loop asks for them.
+    // On SQLite every other query waits for the loop to end, so the loop itself cannot wait for one.
+    async *stream(table, join, columns = null, where = null) {
+        const map = {};
+        const column = this.isJoin(join) ? columns : join;
+
+        const query = this.withQuery(this.selectContext(table, map, join, columns, where), map);
+
+        if (this.debugMode) {
+            console.log(this.generate(query, map));
+            this.debugMode = false;
+            return;
+        }
+
+        this.lastError = null;
+        this.logQuery(query, map);
+
+        const mapRow = this.rowMapper(column);
+        const owner = this.transaction ? null : this.transactionOwner();
+        const transaction = (owner || this).transaction;
+        let connection = transaction;
+        let unlock = null;
+
+        // The shared connection is busy until the iteration ends, other callers queue for it meanwhile
+        if (!connection && this.driver.sharedConnection) {
+            unlock = await this.lockShared();
         }
 
-        // Only build column map if we have structured column selection
-        if (columns && columns !== '*' && typeof columns === 'object') {
-            this.columnMap(columns, columnMap, true);
-        }
+        try {
+            // Outside a transaction the stream reads on a connection of its own, so queries in the loop do not queue behind it
+            if (!connection) {
+                connection = await this.acquireDedicated();
+            }
 
-        for (const data of rows) {
-            const currentStack = [];
-            this.dataMap(data, columns, columnMap, currentStack, true, result);
-        }
+            this.shared.streams.add(connection);
 
-        if (isSingle && columnMap[column]) {
-            const singleResult = [];
-            const resultKey = columnMap[column][0];
+            const statement = this.prepare(query, map);
+
+            for await (const data of this.driver.stream(connection, statement.query, statement.values)) {
+                yield mapRow(data);
+            }
+        } catch (error) {
+            this.lastError = error;
+            throw error;
+        } finally {
+            if (connection) {
+                this.shared.streams.delete(connection);
+            }
 
-            for (const item of result) {
-                singleResult.push(item[resultKey]);
+            if (connection && connection !== transaction) {
+                await this.releaseDedicated(connection);
             }
 
-            return singleResult;
+            if (unlock) {
+                unlock();
+            }
         }
-
-        return result;
     }
 
     // GET - Query single record
     async get(table, join = null, columns = null, where = null) {
         const map = {};
-        const result = [];
-        const columnMap = {};
-        const currentStack = [];
+        const isJoin = this.isJoin(join);
+        const column = isJoin ? columns : join;
 
-        let column;
-        if (where === null) {
-            column = join;
-            if (columns && columns.LIMIT) {
-                delete columns.LIMIT;
-            }
-        } else {
-            column = columns;
-            if (where && where.LIMIT) {
-                delete where.LIMIT;
-            }
-        }
+        // LIMIT 1 goes into the where so it lands before a LOCK clause, a raw where gets it appended
+        const conditions = isJoin ? where : columns;
+        const limited = conditions === null || (typeof conditions === 'object' && !Array.isArray(conditions) && !this.isRaw(conditions))
+            ? { ...conditions, LIMIT: 1 }
+            : conditions;
+
+        let query = isJoin
+            ? this.selectContext(table, map, join, columns, limited)
+            : this.selectContext(table, map, join, limited);
 
-        const isSingle = (typeof column === 'string' && column !== '*');
+        if (limited === conditions) {
+            query += this.driver.limit(1, null, /\bORDER\s+BY\b/i.test(query));
+        }
 
-        const query = this.selectContext(table, map, join, columns, where) + ' LIMIT 1';
         const { rows } = await this.exec(query, map);
 
         if (rows.length > 0) {
-            const data = rows[0];
-
-            // Handle '*' columns case - return raw data
-            if (column === '*' || (where === null && join === '*')) {
-                return data;
-            }
-
-            // Only build column map if we have structured column selection
-            if (columns && columns !== '*' && typeof columns === 'object') {
-                this.columnMap(columns, columnMap, true);
-                this.dataMap(data, columns, columnMap, currentStack, true, result);
-            }
-
-            if (isSingle && columnMap[column]) {
-                return result[0] ? result[0][columnMap[column][0]] : null;
-            }
-
-            return result[0] || data;
+            return this.rowMapper(column)(rows[0]);
         }
 
         return null;
@@ -902,12 +2030,11 @@ class Medoo {
         return result === 1 || result === '1' || result === true;
     }
 
-    // INSERT - Insert records
-    async insert(table, datas) {
+    // Build INSERT statement and the list of inserted columns
+    insertContext(table, datas, map) {
         const stack = [];
         let columns = [];
         const fields = [];
-        const map = {};
 
         if (!Array.isArray(datas)) {
             datas = [datas];
@@ -961,12 +2088,91 @@ class Medoo {
             stack.push(`(${values.join(', ')})`);
         }
 
+        columns = columns.map(key => key.replace(/(\s*\[JSON\]$)/i, ''));
+
         // Build field names
         for (const key of columns) {
-            fields.push(this.columnQuote(key.replace(/(\s*\[JSON\]$)/i, '')));
+            fields.push(this.columnQuote(key));
+        }
+
+        return {
+            query: `INSERT INTO ${this.tableQuote(table)} (${fields.join(', ')}) VALUES ${stack.join(', ')}`,
+            columns
+        };
+    }
+
+    // INSERT - Insert records. options is the primary key to return as the insert id on PostgreSQL, or
+    // { primaryKey, mode, chunk, transaction } where mode 'ignore' skips duplicate rows and 'replace'
+    // overwrites them. Large batches are split into statements of chunk rows, by default as many as
+    // fit the driver's placeholder limit, optionally all inside one transaction.
+    async insert(table, datas, options = null) {
+        const {
+            primaryKey = null,
+            mode = null,
+            chunk = null,
+            transaction = false
+        } = typeof options === 'string' ? { primaryKey: options } : (options || {});
+
+        if (!Array.isArray(datas)) {
+            datas = [datas];
+        }
+
+        // chunk may come from configuration as a string, it is parsed and clamped like the limit of paginate()
+        let size = parseInt(chunk, 10);
+
+        if (!size) {
+            const columns = new Set();
+            for (const data of datas) {
+                Object.keys(data).forEach(key => columns.add(key));
+            }
+            size = Math.floor(this.driver.maxParameters / Math.max(columns.size, 1));
+        }
+
+        size = Math.max(1, size);
+
+        const run = async (db) => {
+            const output = {
+                affectedRows: 0,
+                insertId: null,
+                insertIds: []
+            };
+
+            for (let offset = 0; offset < datas.length; offset += size) {
+                const rows = datas.slice(offset, offset + size);
+                const result = await db.insertChunk(table, rows, primaryKey, mode);
+
+                output.affectedRows += result.affectedRows;
+                output.insertIds.push(result.insertId);
+
+                if (mode === 'ignore') {
+                    output.skippedRows = (output.skippedRows || 0) + rows.length - result.affectedRows;
+                }
+            }
+
+            output.insertId = output.insertIds.length > 0 ? output.insertIds[0] : null;
+            return output;
+        };
+
+        if (transaction && datas.length > size) {
+            return await this.action(run);
+        }
+
+        return await run(this);
+    }
+
+    // Run a single INSERT statement for insert()
+    async insertChunk(table, datas, primaryKey, mode) {
+        const map = {};
+        let { query } = this.insertContext(table, datas, map);
+
+        if (mode) {
+            query = this.driver.insertMode(query, mode);
+        }
+
+        if (primaryKey) {
+            query += this.driver.returning(this.columnQuote(primaryKey));
         }
 
-        const query = `INSERT INTO ${this.tableQuote(table)} (${fields.join(', ')}) VALUES ${stack.join(', ')}`;
         const result = await this.exec(query, map);
 
         return {
@@ -975,10 +2181,58 @@ class Medoo {
         };
     }
 
-    // UPDATE - Update records
-    async update(table, data, where = null) {
-        const fields = [];
+    // UPSERT - Insert records, updating the existing row on a duplicate key.
+    // update lists columns to take from the inserted row ('count[+]' adds to the current value),
+    // or is an update() style object, and defaults to every inserted column.
+    // conflict is the unique key column(s), required by PostgreSQL's ON CONFLICT.
+    async upsert(table, datas, update = null, conflict = null) {
         const map = {};
+        const { query, columns } = this.insertContext(table, datas, map);
+        const conflictColumns = conflict === null ? [] : [].concat(conflict);
+
+        // The current value is qualified, PostgreSQL finds a bare column ambiguous next to EXCLUDED
+        const target = this.tableQuote(table);
+        let fields = [];
+
+        if (update !== null && !Array.isArray(update) && typeof update === 'object') {
+            fields = this.updateFields(update, map, target);
+        } else {
+            const updateColumns = update === null
+                ? columns.filter(column => !conflictColumns.includes(column))
+                : update;
+
+            for (const key of updateColumns) {
+                const match = key.match(/^(?<column>[a-zA-Z0-9_]+)(\[(?<operator>\+|\-|\*|\/)\])?$/i);
+
+                if (!match) {
+                    throw new Error(`Incorrect upsert column "${key}"`);
+                }
+
+                const column = this.columnQuote(match.groups.column);
+                const value = this.driver.excluded(column);
+
+                fields.push(match.groups.operator
+                    ? `${column} = ${target}.${column} ${match.groups.operator} ${value}`
+                    : `${column} = ${value}`);
+            }
+        }
+
+        if (fields.length === 0) {
+            throw new Error('Upsert requires at least one column to update');
+        }
+
+        const conflictQuoted = conflictColumns.map(column => this.columnQuote(column));
+        const result = await this.exec(query + this.driver.upsert(conflictQuoted, fields), map);
+
+        return {
+            affectedRows: result.rows.affectedRows,
+            insertId: result.rows.insertId
+        };
+    }
+
+    // Build SET assignments for UPDATE, target is the quoted table to qualify current values with
+    updateFields(data, map, target = null) {
+        const fields = [];
 
         for (const [key, value] of Object.entries(data)) {
             const column = this.columnQuote(key.replace(/(\s*\[(JSON|\+|\-|\*|\/)\]$)/i, ''));
@@ -993,7 +2247,7 @@ class Medoo {
 
             if (match.groups.operator) {
                 if (typeof value === 'number') {
-                    fields.push(`${column} = ${column} ${match.groups.operator} ${value}`);
+                    fields.push(`${column} = ${target ? `${target}.` : ''}${column} ${match.groups.operator} ${value}`);
                 }
             } else {
                 fields.push(`${column} = ${mapKey}`);
@@ -1016,6 +2270,14 @@ class Medoo {
             }
         }
 
+        return fields;
+    }
+
+    // UPDATE - Update records
+    async update(table, data, where = null) {
+        const map = {};
+        const fields = this.updateFields(data, map);
+
         const query = `UPDATE ${this.tableQuote(table)} SET ${fields.join(', ')}${this.whereClause(where, map)}`;
         const result = await this.exec(query, map);
 
@@ -1043,118 +2305,455 @@ class Medoo {
             return false;
         }
 
-        const map = {};
-        const stack = [];
+        const map = {};
+        const stack = [];
+
+        for (const [column, replacements] of Object.entries(columns)) {
+            if (typeof replacements === 'object') {
+                for (const [oldValue, newValue] of Object.entries(replacements)) {
+                    const mapKey = this.mapKey();
+
+                    stack.push(`${this.columnQuote(column)} = REPLACE(${this.columnQuote(column)}, ${mapKey}a, ${mapKey}b)`);
+
+                    map[`${mapKey}a`] = oldValue;
+                    map[`${mapKey}b`] = newValue;
+                }
+            }
+        }
+
+        if (stack.length === 0) {
+            return false;
+        }
+
+        const query = `UPDATE ${this.tableQuote(table)} SET ${stack.join(', ')}${this.whereClause(where, map)}`;
+        const result = await this.exec(query, map);
+
+        return {
+            affectedRows: result.rows.affectedRows,
+            changedRows: result.rows.changedRows
+        };
+    }
+
+    // ============= AGGREGATE METHODS =============
+
+    // Generic aggregate function
+    async aggregate(type, table, join = null, column = null, where = null) {
+        const map = {};
+
+        const query = this.selectContext(table, map, join, column, where, type.toUpperCase());
+        const { rows } = await this.exec(query, map);
+
+        if (rows.length === 0) {
+            return 0;
+        }
+
+        const result = rows[0] ? Object.values(rows[0])[0] : 0;
+        return isNaN(result) ? result : Number(result);
+    }
+
+    // COUNT - Count records
+    async count(table, join = null, column = null, where = null) {
+        return await this.aggregate('count', table, join, column, where);
+    }
+
+    // AVG - Average value
+    async avg(table, join, column = null, where = null) {
+        return await this.aggregate('avg', table, join, column, where);
+    }
+
+    // MAX - Maximum value
+    async max(table, join, column = null, where = null) {
+        return await this.aggregate('max', table, join, column, where);
+    }
+
+    // MIN - Minimum value
+    async min(table, join, column = null, where = null) {
+        return await this.aggregate('min', table, join, column, where);
+    }
+
+    // SUM - Sum of values
+    async sum(table, join, column = null, where = null) {
+        return await this.aggregate('sum', table, join, column, where);
+    }
+
+    // AGGREGATES - Several aggregates in one query. columns are { alias: 'SUM(column)' } with COUNT, SUM, AVG,
+    // MAX or MIN over a column, DISTINCT column or *, or a Raw expression. An alias can carry a
+    // [Int]/[Number]/[Bool]/[String] type, numeric results come back as numbers otherwise. Returns one object,
+    // or with GROUP in where an array with one object per group that also holds the group columns.
+    async aggregates(table, join, columns = null, where = null) {
+        const isJoin = this.isJoin(join);
+        const spec = isJoin ? columns : join;
+        const conditions = isJoin ? where : columns;
+        const group = conditions && typeof conditions === 'object' && !this.isRaw(conditions) ? conditions.GROUP : null;
+        const select = {};
+        const groupKeys = [];
+        const types = {};
+        const map = {};
+
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+            throw new Error('aggregates() requires an object of named aggregates');
+        }
+
+        if (group && !this.isRaw(group)) {
+            for (const column of Array.isArray(group) ? group : [group]) {
+                const key = column.replace(/^[a-zA-Z0-9_]+\./, '');
+                select[key] = this.raw(this.columnQuote(column));
+                groupKeys.push(key);
+            }
+        }
+
+        for (const [key, value] of Object.entries(spec)) {
+            const match = key.match(/^(?<alias>[a-zA-Z0-9_]+)(?:\s*\[(?<type>String|Bool|Int|Number)\])?$/i);
+
+            if (!match) {
+                throw new Error(`Incorrect aggregate alias "${key}"`);
+            }
+
+            select[key] = this.aggregateExpression(value);
+            types[match.groups.alias] = match.groups.type || null;
+        }
+
+        const query = isJoin
+            ? this.selectContext(table, map, join, select, conditions)
+            : this.selectContext(table, map, select, conditions);
+
+        const { rows } = await this.exec(query, map);
+
+        const mapRow = data => {
+            const result = {};
+
+            for (const key of groupKeys) {
+                result[key] = data[key];
+            }
+
+            for (const [alias, type] of Object.entries(types)) {
+                result[alias] = type ? this.castValue(data[alias], type) : this.aggregateValue(data[alias]);
+            }
+
+            return result;
+        };
+
+        if (groupKeys.length > 0 || this.isRaw(group)) {
+            return rows.map(mapRow);
+        }
+
+        return rows.length > 0 ? mapRow(rows[0]) : null;
+    }
+
+    // Raw SQL for one aggregates() column
+    aggregateExpression(value) {
+        if (this.isRaw(value)) {
+            return value;
+        }
+
+        const match = typeof value === 'string' && value.match(/^\s*(COUNT|SUM|AVG|MAX|MIN)\s*\(\s*(DISTINCT\s+)?(\*|[a-zA-Z0-9_]+(?:\.[a-zA-Z0-9_]+)?)\s*\)\s*$/i);
+
+        if (!match || (match[2] && match[3] === '*')) {
+            throw new Error(`Incorrect aggregate "${value}", expected COUNT, SUM, AVG, MAX or MIN of a column`);
+        }
+
+        const argument = match[3] === '*' ? '*' : this.columnQuote(match[3]);
+        return this.raw(`${match[1].toUpperCase()}(${match[2] ? 'DISTINCT ' : ''}${argument})`);
+    }
+
+    // Drivers return DECIMAL and BIGINT results as strings
+    aggregateValue(value) {
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+            return Number(value);
+        }
+        return value === undefined ? null : value;
+    }
+
+    // ============= TRANSACTION SUPPORT =============
+
+    // Execute actions in a transaction. The callback gets a handle bound to a connection of its own, so
+    // queries other callers run on this instance meanwhile stay out of the transaction, on a shared connection
+    // they wait for it to end. Queries the callback runs, through the handle or this instance, belong to the
+    // transaction. Calling action() there runs in a savepoint, and returning false or throwing only rolls back to it.
+    // options are { isolation, readOnly, retries, backoff }: a deadlock or lock wait timeout reruns the
+    // whole callback up to retries times, waiting backoff milliseconds before the first retry and
+    // doubling it after.
+    async action(actions, options = {}) {
+        if (typeof actions !== 'function') {
+            return false;
+        }
+
+        if (this.transaction) {
+            return await this.savepoint(actions);
+        }
+
+        // Called through this instance from inside a transaction callback
+        const owner = this.transactionOwner();
+
+        if (owner) {
+            return await owner.action(actions);
+        }
+
+        const { retries = 0, backoff = 100 } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            const handle = this.transactionHandle();
+
+            let result;
+
+            try {
+                result = await this.runTransaction(handle, actions, options);
+            } catch (error) {
+                await this.runHooks(handle.hooks.rollback);
+
+                if (attempt >= retries || !this.driver.isRetryable(error)) {
+                    throw error;
+                }
+
+                // Jitter keeps the transactions that deadlocked from colliding again
+                const delay = backoff * 2 ** attempt * (0.5 + Math.random() / 2);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            await this.runHooks(result === false ? handle.hooks.rollback : handle.hooks.commit);
+            return result;
+        }
+    }
+
+    // Handle for the callback of action(), last(), log() and error() of this instance still see its queries
+    transactionHandle() {
+        const handle = Object.create(this);
+
+        for (const key of ['logs', 'lastError']) {
+            Object.defineProperty(handle, key, {
+                get: () => this[key],
+                set: value => {
+                    this[key] = value;
+                }
+            });
+        }
+
+        handle.hooks = { commit: [], rollback: [] };
+        return handle;
+    }
+
+    // Run the callback of action() once in a new transaction on the handle
+    async runTransaction(handle, actions, options) {
+        if (!this.driver.sharedConnection) {
+            return await this.transactionAttempt(handle, actions, options);
+        }
+
+        const unlock = await this.lockShared();
+
+        try {
+            return await this.transactionAttempt(handle, actions, options);
+        } finally {
+            unlock();
+        }
+    }
+
+    async transactionAttempt(handle, actions, { isolation = null, readOnly = false }) {
+        const connection = await this.acquireDedicated();
+
+        try {
+            await this.driver.begin(connection, isolation, readOnly);
+        } catch (error) {
+            await this.releaseDedicated(connection);
+            throw error;
+        }
+
+        handle.transaction = connection;
+        handle.savepoints = 0;
+
+        try {
+            // Queries the callback runs through this instance instead of the handle find it by their context
+            const result = await this.shared.owner.run(handle, () => actions(handle));
+
+            if (result === false) {
+                await connection.rollback();
+                return false;
+            } else {
+                await connection.commit();
+                return result;
+            }
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            handle.transaction = null;
+            await this.releaseDedicated(connection);
+        }
+    }
+
+    // Wait for the turn on the shared connection, resolves to the function that ends it
+    async lockShared() {
+        const previous = this.shared.queue;
+        let unlock;
 
-        for (const [column, replacements] of Object.entries(columns)) {
-            if (typeof replacements === 'object') {
-                for (const [oldValue, newValue] of Object.entries(replacements)) {
-                    const mapKey = this.mapKey();
+        this.shared.queue = new Promise(resolve => {
+            unlock = resolve;
+        });
 
-                    stack.push(`${this.columnQuote(column)} = REPLACE(${this.columnQuote(column)}, ${mapKey}a, ${mapKey}b)`);
+        await previous;
+        return unlock;
+    }
 
-                    map[`${mapKey}a`] = oldValue;
-                    map[`${mapKey}b`] = newValue;
-                }
-            }
-        }
+    // Transaction handle whose callback the current code runs in, while its transaction is open
+    transactionOwner() {
+        const owner = this.shared.owner.getStore();
+        return owner && owner.transaction ? owner : null;
+    }
 
-        if (stack.length === 0) {
-            return false;
+    // Connection for a transaction or stream: a pooled one, the shared one, or else a new one that is closed again afterwards
+    async acquireDedicated() {
+        await this.ensureConnection();
+
+        if (this.pool || this.driver.sharedConnection) {
+            return await this.acquire();
         }
 
-        const query = `UPDATE ${this.tableQuote(table)} SET ${stack.join(', ')}${this.whereClause(where, map)}`;
-        const result = await this.exec(query, map);
+        try {
+            return await this.driver.connect(this.config);
+        } catch (error) {
+            throw new Error(`Database connection failed: ${error.message}`);
+        }
+    }
 
-        return {
-            affectedRows: result.rows.affectedRows,
-            changedRows: result.rows.changedRows
-        };
+    async releaseDedicated(connection) {
+        if (this.pool || connection === this.connection) {
+            this.release(connection);
+        } else {
+            await connection.end();
+        }
     }
 
-    // ============= AGGREGATE METHODS =============
+    // Run a nested action() inside a savepoint of the current transaction
+    async savepoint(actions) {
+        this.savepoints = (this.savepoints || 0) + 1;
+
+        const name = `medoo_savepoint_${this.savepoints}`;
+        const connection = this.transaction;
+        const hooks = this.hooks;
+        const marks = { commit: hooks.commit.length, rollback: hooks.rollback.length };
+
+        // Work of the savepoint was undone, its commit hooks go and its rollback hooks run now
+        const undo = async () => {
+            try {
+                await this.driver.command(connection, `ROLLBACK TO SAVEPOINT ${name}`);
+                await this.driver.command(connection, `RELEASE SAVEPOINT ${name}`);
+            } catch (error) {
+                if (!this.driver.savepointLost(error)) {
+                    throw error;
+                }
+            }
 
-    // Generic aggregate function
-    async aggregate(type, table, join = null, column = null, where = null) {
-        const map = {};
+            hooks.commit.splice(marks.commit);
+            await this.runHooks(hooks.rollback.splice(marks.rollback));
+        };
 
-        const query = this.selectContext(table, map, join, column, where, type.toUpperCase());
-        const { rows } = await this.exec(query, map);
+        try {
+            await this.driver.command(connection, `SAVEPOINT ${name}`);
 
-        if (rows.length === 0) {
-            return 0;
-        }
+            let result;
 
-        const result = rows[0] ? Object.values(rows[0])[0] : 0;
-        return isNaN(result) ? result : Number(result);
-    }
+            try {
+                result = await actions(this);
+            } catch (error) {
+                // Also for a retryable error, the caller may catch it and go on with the transaction
+                await undo();
+                throw error;
+            }
 
-    // COUNT - Count records
-    async count(table, join = null, column = null, where = null) {
-        return await this.aggregate('count', table, join, column, where);
-    }
+            if (result === false) {
+                await undo();
+            } else {
+                await this.driver.command(connection, `RELEASE SAVEPOINT ${name}`);
+            }
 
-    // AVG - Average value
-    async avg(table, join, column = null, where = null) {
-        return await this.aggregate('avg', table, join, column, where);
+            return result;
+        } finally {
+            this.savepoints--;
+        }
     }
 
-    // MAX - Maximum value
-    async max(table, join, column = null, where = null) {
-        return await this.aggregate('max', table, join, column, where);
-    }
+    // Run callback after the current transaction commits, right away when there is none
+    async afterCommit(callback) {
+        if (!this.transaction) {
+            await callback();
+            return;
+        }
 
-    // MIN - Minimum value
-    async min(table, join, column = null, where = null) {
-        return await this.aggregate('min', table, join, column, where);
+        this.hooks.commit.push(callback);
     }
 
-    // SUM - Sum of values
-    async sum(table, join, column = null, where = null) {
-        return await this.aggregate('sum', table, join, column, where);
+    // Run callback if the current transaction, or the savepoint it was registered in, is rolled back
+    afterRollback(callback) {
+        if (this.transaction) {
+            this.hooks.rollback.push(callback);
+        }
     }
 
-    // ============= TRANSACTION SUPPORT =============
+    async runHooks(callbacks) {
+        for (const callback of callbacks) {
+            await callback();
+        }
+    }
 
-    // Execute actions in a transaction
-    async action(actions) {
-        if (typeof actions !== 'function') {
-            return false;
+    // Manual transaction control, options are { isolation, readOnly }
+    async beginTransaction(options = {}) {
+        if (this.transaction) {
+            throw new Error('A transaction is already active, use action() to nest it');
         }
 
-        await this.ensureConnection();
-        await this.connection.beginTransaction();
+        const connection = await this.acquire();
 
         try {
-            const result = await actions(this);
-
-            if (result === false) {
-                await this.connection.rollback();
-                return false;
-            } else {
-                await this.connection.commit();
-                return result;
-            }
+            await this.driver.begin(connection, options.isolation || null, options.readOnly || false);
         } catch (error) {
-            await this.connection.rollback();
+            this.release(connection);
             throw error;
         }
-    }
 
-    // Manual transaction control
-    async beginTransaction() {
-        await this.ensureConnection();
-        await this.connection.beginTransaction();
+        this.transaction = connection;
+        this.savepoints = 0;
+        this.hooks = { commit: [], rollback: [] };
     }
 
     async commit() {
-        await this.ensureConnection();
-        await this.connection.commit();
+        await this.endTransaction('commit');
     }
 
     async rollback() {
-        await this.ensureConnection();
-        await this.connection.rollback();
+        await this.endTransaction('rollback');
+    }
+
+    // Finish a manual transaction and give its pooled connection back
+    async endTransaction(method) {
+        const connection = this.transaction;
+
+        if (!connection) {
+            if (this.pool) {
+                throw new Error('No active transaction');
+            }
+
+            await this.ensureConnection();
+            await this.connection[method]();
+            return;
+        }
+
+        const hooks = this.hooks;
+
+        this.transaction = null;
+        this.hooks = null;
+
+        try {
+            await connection[method]();
+        } catch (error) {
+            if (method === 'commit') {
+                await this.runHooks(hooks.rollback);
+            }
+            throw error;
+        } finally {
+            this.release(connection);
+        }
+
+        await this.runHooks(method === 'commit' ? hooks.commit : hooks.rollback);
     }
 
     // ============= PARALLEL QUERY METHODS =============
@@ -1234,13 +2833,372 @@ class Medoo {
         return results.flat();
     }
 
+    // ============= CTE METHODS =============
+
+    // WITH - Handle whose SELECT queries can use the given common table expressions as tables. Each one
+    // is a subquery, a raw query, or an [anchor, recursive] pair of subqueries joined by UNION ALL for
+    // WITH RECURSIVE, where the recursive member joins the CTE by its name.
+    with(ctes) {
+        const handle = Object.create(this);
+        handle.ctes = { ...(this.ctes || {}), ...ctes };
+        return handle;
+    }
+
+    // Put the CTEs of a with() handle in front of a SELECT
+    withQuery(query, map) {
+        if (!this.ctes || !/^\s*SELECT\b/i.test(query)) {
+            return query;
+        }
+
+        return `${this.withClause(this.ctes, map)} ${query}`;
+    }
+
+    withClause(ctes, map) {
+        const stack = [];
+        let recursive = false;
+
+        for (const [name, definition] of Object.entries(ctes)) {
+            let body;
+
+            if (Array.isArray(definition)) {
+                recursive = true;
+                body = this.unionContext(definition, map, true);
+            } else if (this.isSubquery(definition)) {
+                body = this.selectContext(definition.table, map, definition.join, definition.columns, definition.where);
+            } else if (this.isRaw(definition)) {
+                body = this.buildRaw(definition, map);
+            } else {
+                throw new Error(`Incorrect definition for CTE "${name}"`);
+            }
+
+            stack.push(`${this.tableQuote(name)} AS (${body})`);
+        }
+
+        return `WITH ${recursive ? 'RECURSIVE ' : ''}${stack.join(', ')}`;
+    }
+
+    // ============= UNION METHODS =============
+
+    // UNION - Combine the rows of several subqueries without duplicates. They have to select the same
+    // number of columns, the rows are named and typed by the first one. where takes the outer ORDER and LIMIT.
+    async union(queries, where = null) {
+        return await this.unionSelect(queries, where, false);
+    }
+
+    // UNION ALL - Like union(), keeping duplicate rows
+    async unionAll(queries, where = null) {
+        return await this.unionSelect(queries, where, true);
+    }
+
+    async unionSelect(queries, where, all) {
+        const map = {};
+
+        const query = this.unionContext(queries, map, all, where);
+        const { rows } = await this.exec(query, map);
+
+        return this.mapRows(rows, this.subqueryColumns(queries[0]));
+    }
+
+    // Build the compound SELECT of union() and unionAll()
+    unionContext(queries, map, all, where = null) {
+        if (!Array.isArray(queries) || queries.length < 2 || !queries.every(query => this.isSubquery(query))) {
+            throw new Error('UNION requires at least two subqueries');
+        }
+
+        let width = null;
+
+        const selects = queries.map((query, index) => {
+            const columns = this.subqueryColumns(query);
+
+            if (!columns || columns === '*' || this.isRaw(columns)) {
+                throw new Error('UNION requires the columns of every query to be listed');
+            }
+
+            const size = Object.keys(this.columnMap(typeof columns === 'string' ? [columns] : columns, {}, true)).length;
+
+            if (width !== null && size !== width) {
+                throw new Error(`UNION queries select different numbers of columns: ${width} and ${size}`);
+            }
+
+            width = size;
+
+            const select = this.selectContext(query.table, map, query.join, query.columns, query.where);
+            const conditions = this.isJoin(query.join) ? query.where : query.columns;
+
+            // SQLite does not take parentheses around a single member, a derived table orders and limits it anywhere
+            if (conditions && typeof conditions === 'object' && (conditions.ORDER || conditions.LIMIT)) {
+                return `SELECT * FROM (${select}) AS ${this.tableQuote(`union_${index}`)}`;
+            }
+
+            return select;
+        });
+
+        const outer = {};
+
+        for (const [key, value] of Object.entries(where || {})) {
+            if (key !== 'ORDER' && key !== 'LIMIT') {
+                throw new Error(`UNION only takes ORDER and LIMIT, not ${key}`);
+            }
+            outer[key] = value;
+        }
+
+        return selects.join(all ? ' UNION ALL ' : ' UNION ') + this.whereClause(outer, map);
+    }
+
+    // Column spec of a subquery, from the select() style arguments it was made with
+    subqueryColumns(subquery) {
+        return this.isJoin(subquery.join) ? subquery.columns : subquery.join;
+    }
+
+    // ============= PAGINATION METHODS =============
+
+    // Split select() style arguments that are followed by an options object
+    selectArguments(join, columns, where, options) {
+        if (this.isJoin(join)) {
+            return { join, columns, where, options: options || {} };
+        }
+
+        return { join: null, columns: join, where: columns, options: where || {} };
+    }
+
+    // PAGE - Offset pagination. options are { page, perPage }, the total comes from a COUNT without ORDER, LIMIT and LOCK.
+    async page(table, join, columns = null, where = null, options = null) {
+        const args = this.selectArguments(join, columns, where, options);
+        const page = Math.max(1, parseInt(args.options.page, 10) || 1);
+        const perPage = Math.max(1, parseInt(args.options.perPage, 10) || 20);
+        let selectWhere = { LIMIT: [(page - 1) * perPage, perPage] };
+        let countWhere = {};
+
+        if (this.isRaw(args.where)) {
+            throw new Error('page() requires the where to be an object');
+        }
+
+        if (args.where) {
+            const { ORDER, LIMIT, LOCK, ...filters } = args.where;
+            selectWhere = { ...args.where, ...selectWhere };
+            countWhere = filters;
+        }
+
+        const countQuery = () => {
+            // A grouped or DISTINCT page has one row per group or distinct row, so the rows of that query are counted
+            if (countWhere.GROUP || countWhere.HAVING || countWhere.DISTINCT) {
+                const rows = args.join
+                    ? this.subquery(table, args.join, args.columns, countWhere)
+                    : this.subquery(table, args.columns, countWhere);
+
+                return this.count(rows.as('page_count'));
+            }
+
+            return args.join
+                ? this.count(table, args.join, '*', countWhere)
+                : this.count(table, '*', countWhere);
+        };
+        const selectQuery = () => (args.join
+            ? this.select(table, args.join, args.columns, selectWhere)
+            : this.select(table, args.columns, selectWhere));
+
+        let total;
+        let data;
+
+        // A single connection runs one query at a time, only a pool can serve both at once
+        if (this.pool && !this.transaction) {
+            [total, data] = await Promise.all([countQuery(), selectQuery()]);
+        } else {
+            total = await countQuery();
+            data = await selectQuery();
+        }
+
+        return {
+            data,
+            total,
+            page,
+            perPage,
+            lastPage: Math.max(1, Math.ceil(total / perPage))
+        };
+    }
+
+    // PAGINATE - Keyset (cursor) pagination. where.ORDER lists the sort columns and has to end in a unique key.
+    // options are { limit, cursor }, where cursor is the next or prev value returned for another page.
+    async paginate(table, join, columns = null, where = null, options = null) {
+        const args = this.selectArguments(join, columns, where, options);
+        const limit = Math.max(1, parseInt(args.options.limit, 10) || 20);
+        const cursor = args.options.cursor || null;
+        const filters = { ...(args.where || {}) };
+        const order = this.keysetOrder(filters.ORDER);
+        const position = cursor ? this.decodeCursor(cursor, order.length) : null;
+        const backward = position !== null && position.direction === 'prev';
+        const tail = {};
+        const map = {};
+
+        // The seek condition goes between WHERE and GROUP BY, so everything after it is built separately
+        ['GROUP', 'HAVING', 'ORDER', 'LIMIT', 'LOCK'].forEach(key => {
+            if (key in filters) {
+                tail[key] = filters[key];
+                delete filters[key];
+            }
+        });
+
+        let clause = this.whereClause(filters, map);
+
+        if (position) {
+            clause += `${clause ? ' AND' : ' WHERE'} ${this.seekCondition(order, position.values, backward, map)}`;
+        }
+
+        // Walking backwards reads the previous rows in reverse order, they are flipped back below
+        tail.ORDER = {};
+        for (const [column, direction] of order) {
+            tail.ORDER[column] = backward ? (direction === 'ASC' ? 'DESC' : 'ASC') : direction;
+        }
+
+        // One extra row tells whether there is another page
+        tail.LIMIT = limit + 1;
+        clause += this.whereClause(tail, map);
+
+        // DISTINCT belongs in the select list, which a raw where cannot reach
+        const selectArgs = args.join ? [args.join, args.columns] : [args.columns];
+        const select = this.selectContext(table, map, ...selectArgs, { DISTINCT: Boolean(filters.DISTINCT) });
+        const { rows: result } = await this.exec(select + clause, map);
+        const rows = this.mapRows(result, args.columns);
+        const hasMore = rows.length > limit;
+        const data = hasMore ? rows.slice(0, limit) : rows;
+
+        if (backward) {
+            data.reverse();
+        }
+
+        const hasNext = backward ? data.length > 0 : hasMore;
+        const hasPrev = backward ? hasMore : position !== null && data.length > 0;
+
+        return {
+            data,
+            next: hasNext ? this.encodeCursor(data[data.length - 1], order, 'next') : null,
+            prev: hasPrev ? this.encodeCursor(data[0], order, 'prev') : null
+        };
+    }
+
+    // Normalize ORDER into [column, direction] pairs for keyset pagination
+    keysetOrder(order) {
+        let pairs = [];
+
+        if (typeof order === 'string') {
+            pairs = [[order, 'ASC']];
+        } else if (Array.isArray(order)) {
+            pairs = order.map(column => [column, 'ASC']);
+        } else if (order && typeof order === 'object' && !this.isRaw(order)) {
+            pairs = Object.entries(order);
+        }
+
+        if (pairs.length === 0) {
+            throw new Error('Cursor pagination requires ORDER by a unique key');
+        }
+
+        for (const [column, direction] of pairs) {
+            if (direction !== 'ASC' && direction !== 'DESC') {
+                throw new Error(`Incorrect ORDER direction "${direction}" for cursor pagination on "${column}"`);
+            }
+        }
+
+        return pairs;
+    }
+
+    // Build the condition for rows after (or before, going backwards) the cursor position
+    seekCondition(order, values, backward, map) {
+        const parts = order.map(([column, direction], index) => {
+            const mapKey = this.mapKey();
+            map[mapKey] = values[index];
+
+            return {
+                column: this.columnQuote(column),
+                key: mapKey,
+                operator: (direction === 'ASC') !== backward ? '>' : '<'
+            };
+        });
+
+        if (parts.length === 1) {
+            return `${parts[0].column} ${parts[0].operator} ${parts[0].key}`;
+        }
+
+        // Same direction everywhere compares row values: (a, b) > (?, ?)
+        if (parts.every(part => part.operator === parts[0].operator)) {
+            const columns = parts.map(part => part.column).join(', ');
+            const keys = parts.map(part => part.key).join(', ');
+
+            return `(${columns}) ${parts[0].operator} (${keys})`;
+        }
+
+        // Mixed directions: a > ? OR (a = ? AND b < ?) ...
+        const terms = parts.map((part, index) => {
+            const equals = parts.slice(0, index).map(previous => `${previous.column} = ${previous.key}`);
+            return `(${[...equals, `${part.column} ${part.operator} ${part.key}`].join(' AND ')})`;
+        });
+
+        return `(${terms.join(' OR ')})`;
+    }
+
+    // Cursor holding the sort key values of a row
+    encodeCursor(row, order, direction) {
+        const values = order.map(([column]) => {
+            const key = column.replace(/^[a-zA-Z0-9_]+\./, '');
+
+            if (!row || !(key in row)) {
+                throw new Error(`Cursor pagination requires the ORDER column "${column}" to be selected`);
+            }
+
+            return row[key] instanceof Date ? { $date: row[key].toISOString() } : row[key];
+        });
+
+        return Buffer.from(JSON.stringify({ d: direction, v: values }))
+            .toString('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    decodeCursor(cursor, length) {
+        let position;
+
+        try {
+            const json = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString();
+            position = JSON.parse(json);
+        } catch (error) {
+            position = null;
+        }
+
+        if (!position || !['next', 'prev'].includes(position.d) || !Array.isArray(position.v) || position.v.length !== length) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        return {
+            direction: position.d,
+            values: position.v.map(value => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value))
+        };
+    }
+
     // ============= UTILITY METHODS =============
 
     // Get last insert ID
     async id() {
+        const owner = this.transaction ? null : this.transactionOwner();
+
+        if (owner) {
+            return await owner.id();
+        }
+
+        const query = this.driver.lastInsertIdQuery();
+
+        // LAST_INSERT_ID() is per connection, a pooled one may not be the one that inserted,
+        // so outside a transaction the id is only available from insert()
+        if (this.pool && !this.transaction) {
+            return null;
+        }
+
+        if (!query) {
+            return this.insertId;
+        }
+
         try {
             await this.ensureConnection();
-            const [rows] = await this.connection.execute('SELECT LAST_INSERT_ID() as id');
+            const [rows] = await (this.transaction || this.connection).execute(query);
             return rows[0] ? rows[0].id : null;
         } catch (error) {
             return null;
@@ -1256,7 +3214,7 @@ class Medoo {
             const isIntKey = /^\d+$/.test(name);
 
             if (isIntKey) {
-                stack.push(definition.replace(/\<([a-zA-Z0-9_]+)\>/gi, '"$1"'));
+                stack.push(definition.replace(/\<([a-zA-Z0-9_]+)\>/gi, (match, column) => this.driver.quoteIdentifier(column)));
             } else if (Array.isArray(definition)) {
                 stack.push(`${name} ${definition.join(' ')}`);
             } else if (typeof definition === 'string') {
@@ -1306,12 +3264,13 @@ class Medoo {
         try {
             await this.ensureConnection();
             // Get server info
-            const [serverInfo] = await this.connection.execute('SELECT VERSION() as version');
+            const [serverInfo] = await this.connection.execute(this.driver.versionQuery());
             output.version = serverInfo[0] ? serverInfo[0].version : null;
 
             // Get connection info
             output.connection = 'Connected';
-            output.driver = 'mysql2';
+            output.driver = this.driver.name;
+            output.pool = Boolean(this.pool);
             output.type = this.type;
 
             return output;
@@ -1323,13 +3282,7 @@ class Medoo {
 
     // Random selection
     async rand(table, join = null, columns = null, where = null) {
-        let order = 'RANDOM()';
-        
-        if (this.type === 'mysql') {
-            order = 'RAND()';
-        }
-
-        const orderRaw = this.raw(order);
+        const orderRaw = this.raw(this.driver.random());
 
         if (where === null) {
             if (columns === null) {
@@ -1349,11 +3302,24 @@ class Medoo {
 
     // Close database connection
     async close() {
+        // A connection still being opened would otherwise be left open
+        if (this.connecting) {
+            await this.connecting.catch(() => {});
+        }
+
         if (this.connection) {
             await this.connection.end();
             this.connection = null;
+            this.connecting = null;
+            this.pool = null;
         }
     }
 }
 
-module.exports = { Medoo, Raw };
\ No newline at end of file
+Medoo.drivers = {
+    mysql: MysqlDriver,
+    sqlite: SqliteDriver,
+    pgsql: PgsqlDriver
+};
+
+module.exports = { Medoo, Raw, Value, Subquery, WindowFunction, Driver };
\ No newline at end of file